@@ -1,244 +1,580 @@
-const { spawn } = require('child_process');
+#!/usr/bin/env node
 const path = require('path');
 const fs = require('fs');
+const {
+    createConnection,
+    ProposedFeatures,
+    TextDocuments,
+    TextDocumentSyncKind,
+    DidChangeConfigurationNotification,
+    DiagnosticSeverity,
+    FileChangeType,
+    ResponseError,
+    SemanticTokensBuilder,
+    CodeActionKind
+} = require('vscode-languageserver/node');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const DiagnosticsScheduler = require('./src/scheduler');
+const { StdIndex } = require('./src/std-index');
+const Workspace = require('./src/workspace');
+const { listFiles, listHslFiles, fileUri, uriToPath } = require('./src/text');
+const { parseDocument, forgetDocument } = require('./src/parser');
+const { provideHover } = require('./src/features/hover');
+const { provideDefinition } = require('./src/features/definition');
+const { provideCompletion, TRIGGER_CHARACTERS } = require('./src/features/completion');
+const { provideReferences, prepareRename, provideRename } = require('./src/features/references');
+const { provideDocumentSymbols } = require('./src/features/document-symbols');
+const { provideWorkspaceSymbols } = require('./src/features/workspace-symbols');
+const { provideSignatureHelp, TRIGGER_CHARACTERS: SIGNATURE_TRIGGER_CHARACTERS, RETRIGGER_CHARACTERS } = require('./src/features/signature-help');
+const { provideInlayHints } = require('./src/features/inlay-hints');
+const { provideSemanticTokens, LEGEND: SEMANTIC_TOKENS_LEGEND } = require('./src/features/semantic-tokens');
+const { provideFoldingRanges, provideSelectionRanges } = require('./src/features/folding');
+const { provideCodeActions } = require('./src/features/code-actions');
+const { provideDocumentColors, provideColorPresentations } = require('./src/features/colors');
+const { formatDocument, formatRange, formatOnType } = require('./src/features/formatting');
+const { provideAnalysisDiagnostics } = require('./src/features/analysis');
+const log = require('./src/log');
 
+const DEFAULT_SETTINGS = {
+    logLevel: 'info',
+    diagnostics: { trigger: 'onType', delay: 500, severityOverrides: {} },
+    compiler: { jarPath: '', javaHome: '', timeoutMs: 10000, jvmArgs: [] },
+    inlayHints: { parameterNames: true, statTypes: false, statNamespaces: false },
+    format: { indentSize: null, colonSpacing: 'after', spaceAroundEquals: true, maxLineLength: 100 }
+};
+
+// Values of hsl.diagnostics.severityOverrides; 'off' hides the diagnostic
+const SEVERITY_OVERRIDES = {
+    error: DiagnosticSeverity.Error,
+    warning: DiagnosticSeverity.Warning,
+    information: DiagnosticSeverity.Information,
+    hint: DiagnosticSeverity.Hint,
+    off: null
+};
+
+// Directories never scanned for workspace symbols
+const SKIPPED_DIRS = new Set(['hsl-std', '.git', 'node_modules']);
+const MAX_WORKSPACE_FILES = 5000;
+
+/**
+ * HSL language server: hosts the std and workspace symbol indexes, the editor
+ * features built on them and compiler diagnostics, and speaks the Language
+ * Server Protocol so any LSP client can use it.
+ *
+ *     node server.js --stdio
+ */
 class HSLanguageServer {
-    constructor() {
-        this.diagnostics = new Map(); // uri -> diagnostics
-        this.javaPath = 'java';
-        this.hslJarPath = null;
-        this.workspaceRoot = null;
-    }
-
-    async initialize(workspaceRoot) {
-        this.workspaceRoot = workspaceRoot;
-        
-        // Find the HSL JAR file
-        const hslDir = path.join(workspaceRoot, 'hsl');
-        if (fs.existsSync(hslDir)) {
-            // Look for built JAR in hsl/build/libs/ or hsl/target/
-            const possibleJarPaths = [
-                path.join(hslDir, 'build', 'libs', 'hsl-*-all.jar'), // Prefer shadow JAR with dependencies
-                path.join(hslDir, 'build', 'libs', 'hsl-*.jar'),
-                path.join(hslDir, 'target', 'hsl-*.jar'),
-                path.join(hslDir, 'hsl.jar')
-            ];
-            
-            for (const jarPattern of possibleJarPaths) {
-                const files = this.findFiles(jarPattern);
-                if (files.length > 0) {
-                    this.hslJarPath = files[0];
-                    console.log('[HSL Language Server] Found JAR:', this.hslJarPath);
-                    break;
+    /**
+     * @param {import('vscode-languageserver').Connection} connection
+     */
+    constructor(connection) {
+        this.connection = connection;
+        this.documents = new TextDocuments(TextDocument);
+        this.std = new StdIndex(__dirname);
+        // Compilers per workspace folder and symbol indexes per project
+        this.workspace = new Workspace(this.std);
+        // Lets clients show whether a compiler was found and which version runs
+        this.workspace.onCompilerStatus = (folder, status) => this.connection.sendNotification('hsl/compilerStatus', { ...status, folder });
+        // Diagnostics are checked and published per project (directory containing build.toml)
+        this.scheduler = new DiagnosticsScheduler(
+            (projectDir) => this.checkProject(projectDir),
+            (projectDir, byUri) => this.publishProject(projectDir, byUri),
+            (projectDir) => this.workspace.compilerFor(projectDir).cancelCheck(projectDir)
+        );
+        // Analysis that depends on the other files of a project, such as unused stats,
+        // is redone for all of its open documents once edits pause
+        this.analysisScheduler = new DiagnosticsScheduler((projectDir) => this.analyzeProject(projectDir), () => {});
+        this.published = new Map(); // project dir -> URIs that currently have compiler diagnostics
+        this.compilerDiagnostics = new Map(); // uri -> diagnostics from the last check of its project
+        this.analysisDiagnostics = new Map(); // uri -> diagnostics found by the server itself, for open documents
+        this.semanticTokenBuilders = new Map(); // uri -> builder holding the tokens last sent, for deltas
+        this.initialFolders = []; // file system paths of the folders opened with the server
+        this.settings = DEFAULT_SETTINGS;
+        this.compilerSettingsKey = null;
+        this.hasConfigurationCapability = false;
+        this.hasWorkspaceFolderCapability = false;
+        this.disposables = [];
+    }
+
+    listen() {
+        const connection = this.connection;
+        connection.onInitialize((params) => this.onInitialize(params));
+        connection.onInitialized(() => this.onInitialized());
+        connection.onShutdown(() => this.dispose());
+        connection.onDidChangeConfiguration(() => this.loadSettings().then(() => this.refreshInlayHints()));
+        connection.onDidChangeWatchedFiles((params) => this.onDidChangeWatchedFiles(params));
+
+        connection.onHover((params) => this.withDocument(params, (document) => provideHover(this.indexFor(document.uri), document, params.position)));
+        connection.onDefinition((params) => this.withDocument(params, (document) => provideDefinition(this.indexFor(document.uri), document, params.position)));
+        connection.onCompletion((params) => this.withDocument(params, (document) => provideCompletion(this.indexFor(document.uri), document, params.position)));
+        connection.onSignatureHelp((params) => this.withDocument(params, (document) => provideSignatureHelp(this.indexFor(document.uri), document, params.position)));
+        connection.onReferences((params) => this.withDocument(params, (document) => provideReferences(this.indexFor(document.uri), document, params.position, params.context.includeDeclaration, (uri) => this.getDocument(uri))));
+        connection.onPrepareRename((params) => this.withDocument(params, (document) => prepareRename(this.indexFor(document.uri), document, params.position)));
+        connection.onRenameRequest((params) => this.withDocument(params, (document) => provideRename(this.indexFor(document.uri), document, params.position, params.newName, (uri) => this.getDocument(uri))));
+        connection.onDocumentSymbol((params) => this.withDocument(params, (document) => provideDocumentSymbols(document)));
+        connection.onWorkspaceSymbol((params) => provideWorkspaceSymbols(this.workspace.indexes, this.std, params.query));
+        connection.languages.inlayHint.on((params) => this.withDocument(params, (document) => provideInlayHints(this.indexFor(document.uri), document, params.range, this.settings.inlayHints)));
+        connection.languages.semanticTokens.on((params) => this.withDocument(params, (document) => this.semanticTokens(document)));
+        connection.languages.semanticTokens.onDelta((params) => this.withDocument(params, (document) => this.semanticTokens(document, params.previousResultId)));
+        connection.languages.semanticTokens.onRange((params) => this.withDocument(params, (document) => {
+            const builder = new SemanticTokensBuilder();
+            provideSemanticTokens(this.indexFor(document.uri), document, builder, params.range);
+            return builder.build();
+        }));
+        connection.onFoldingRanges((params) => this.withDocument(params, (document) => provideFoldingRanges(document)));
+        connection.onSelectionRanges((params) => this.withDocument(params, (document) => provideSelectionRanges(document, params.positions)));
+        connection.onDocumentColor((params) => this.withDocument(params, (document) => provideDocumentColors(document)));
+        connection.onColorPresentation((params) => this.withDocument(params, () => provideColorPresentations(params.color, params.range)));
+        connection.onCodeAction((params) => this.withDocument(params, (document) => provideCodeActions(this.indexFor(document.uri), document, params.context)));
+        connection.onDocumentFormatting((params) => this.withDocument(params, (document) => formatDocument(document, params.options, this.settings.format)));
+        connection.onDocumentRangeFormatting((params) => this.withDocument(params, (document) => formatRange(document, params.range, params.options, this.settings.format)));
+        connection.onDocumentOnTypeFormatting((params) => this.withDocument(params, (document) => formatOnType(document, params.position, params.ch, params.options, this.settings.format)));
+        connection.onRequest('hsl/checkDocument', (params) => this.checkNow(params.uri));
+        connection.onRequest('hsl/checkWorkspace', () => this.checkWorkspace());
+
+        const documents = this.documents;
+        documents.onDidOpen(({ document }) => {
+            this.workspace.setOverlay(uriToPath(document.uri), document.getText());
+            this.indexDocument(document);
+            this.analyzeDocument(document);
+            this.scheduleAnalysis(document.uri);
+            if (this.settings.diagnostics.trigger !== 'onSave') this.scheduleCheck(document.uri);
+        });
+        documents.onDidChangeContent(({ document }) => {
+            // Open documents are handed to the compiler through a shadow copy, so unsaved
+            // edits are checked without touching the file on disk
+            this.workspace.setOverlay(uriToPath(document.uri), document.getText());
+            this.indexDocument(document);
+            this.analyzeDocument(document);
+            this.scheduleAnalysis(document.uri);
+            if (this.settings.diagnostics.trigger !== 'onSave') this.scheduleCheck(document.uri);
+        });
+        documents.onDidSave(({ document }) => {
+            this.checkNow(document.uri);
+        });
+        documents.onDidClose(({ document }) => {
+            this.workspace.clearOverlay(uriToPath(document.uri));
+            forgetDocument(document.uri);
+            this.semanticTokenBuilders.delete(document.uri);
+            // Fall back to what is on disk for files that are closed without saving
+            this.indexFile(uriToPath(document.uri));
+            this.analysisDiagnostics.delete(document.uri);
+            this.publish(document.uri);
+            this.scheduleAnalysis(document.uri);
+            if (this.settings.diagnostics.trigger !== 'onSave') this.scheduleCheck(document.uri);
+        });
+        documents.listen(connection);
+        connection.listen();
+    }
+
+    onInitialize(params) {
+        const capabilities = params.capabilities || {};
+        const options = params.initializationOptions || {};
+        // Editors other than VS Code can point the server at their own hsl-std checkout
+        if (options.stdPath) {
+            this.std = new StdIndex(__dirname, options.stdPath);
+            this.workspace.std = this.std;
+        }
+        this.hasConfigurationCapability = !!(capabilities.workspace && capabilities.workspace.configuration);
+        this.hasWorkspaceFolderCapability = !!(capabilities.workspace && capabilities.workspace.workspaceFolders);
+
+        if (Array.isArray(params.workspaceFolders) && params.workspaceFolders.length > 0) {
+            this.initialFolders = params.workspaceFolders.map(f => uriToPath(f.uri));
+        } else if (params.rootUri) {
+            this.initialFolders = [uriToPath(params.rootUri)];
+        } else if (params.rootPath) {
+            this.initialFolders = [params.rootPath];
+        }
+
+        return {
+            capabilities: {
+                textDocumentSync: {
+                    openClose: true,
+                    change: TextDocumentSyncKind.Incremental,
+                    save: { includeText: false }
+                },
+                hoverProvider: true,
+                definitionProvider: true,
+                referencesProvider: true,
+                renameProvider: { prepareProvider: true },
+                documentSymbolProvider: { label: 'HSL' },
+                workspaceSymbolProvider: true,
+                completionProvider: { triggerCharacters: TRIGGER_CHARACTERS },
+                signatureHelpProvider: { triggerCharacters: SIGNATURE_TRIGGER_CHARACTERS, retriggerCharacters: RETRIGGER_CHARACTERS },
+                inlayHintProvider: true,
+                foldingRangeProvider: true,
+                selectionRangeProvider: true,
+                colorProvider: true,
+                codeActionProvider: { codeActionKinds: [CodeActionKind.QuickFix] },
+                documentFormattingProvider: true,
+                documentRangeFormattingProvider: true,
+                documentOnTypeFormattingProvider: { firstTriggerCharacter: '}' },
+                semanticTokensProvider: { legend: SEMANTIC_TOKENS_LEGEND, full: { delta: true }, range: true },
+                workspace: {
+                    workspaceFolders: { supported: true, changeNotifications: true }
                 }
-            }
+            },
+            serverInfo: { name: 'hsl-language-server' }
+        };
+    }
+
+    async onInitialized() {
+        if (this.hasConfigurationCapability) {
+            this.connection.client.register(DidChangeConfigurationNotification.type, undefined);
+        }
+        if (this.hasWorkspaceFolderCapability) {
+            this.connection.workspace.onDidChangeWorkspaceFolders((event) => this.onDidChangeWorkspaceFolders(event));
+        }
+        await this.loadSettings(this.initialFolders);
+        for (const folder of this.initialFolders) this.workspace.addFolder(folder);
+
+        const rebuildStd = () => {
+            this.std.build();
+            this.refreshInlayHints();
+            this.refreshSemanticTokens();
+            this.analyzeOpenDocuments();
+        };
+        this.std.build();
+        this.std.ensureSubmodules(rebuildStd);
+        this.disposables.push(...this.std.watch(rebuildStd));
+
+        this.reindexWorkspace();
+        this.analyzeOpenDocuments();
+    }
+
+    /**
+     * Read the settings. Compiler settings are read per workspace folder, so each
+     * folder can use its own JAR and Java runtime.
+     * @param {string[]} [folders] defaults to the folders in use
+     */
+    async loadSettings(folders = this.workspace.folders) {
+        if (!this.hasConfigurationCapability) return;
+        try {
+            const [hsl, ...folderCompilers] = await this.connection.workspace.getConfiguration([
+                { section: 'hsl' },
+                ...folders.map(folder => ({ scopeUri: fileUri(folder), section: 'hsl.compiler' }))
+            ]);
+            const diagnostics = (hsl && hsl.diagnostics) || {};
+            this.settings = {
+                logLevel: (hsl && hsl.logLevel) || DEFAULT_SETTINGS.logLevel,
+                diagnostics: {
+                    trigger: diagnostics.trigger || DEFAULT_SETTINGS.diagnostics.trigger,
+                    // 0 is a valid delay: check right away
+                    delay: Number.isFinite(Number(diagnostics.delay)) ? Math.max(0, Number(diagnostics.delay)) : DEFAULT_SETTINGS.diagnostics.delay,
+                    severityOverrides: diagnostics.severityOverrides || {}
+                },
+                compiler: { ...DEFAULT_SETTINGS.compiler, ...((hsl && hsl.compiler) || {}) },
+                inlayHints: { ...DEFAULT_SETTINGS.inlayHints, ...((hsl && hsl.inlayHints) || {}) },
+                format: { ...DEFAULT_SETTINGS.format, ...((hsl && hsl.format) || {}) }
+            };
+            log.setLogLevel(this.settings.logLevel);
+            this.workspace.configureCompiler('', this.settings.compiler);
+            folders.forEach((folder, i) => {
+                this.workspace.configureCompiler(path.normalize(folder), { ...DEFAULT_SETTINGS.compiler, ...(folderCompilers[i] || {}) });
+            });
+        } catch (e) {
+            log.warn('[HSL Language Server] Failed to read settings:', e);
+        }
+
+        const compilerSettingsKey = JSON.stringify(Array.from(this.workspace.compilerSettings));
+        if (this.compilerSettingsKey !== null && compilerSettingsKey !== this.compilerSettingsKey) {
+            // Results of the previous compiler no longer apply
+            for (const document of this.documents.all()) this.scheduleCheck(document.uri);
         }
+        this.compilerSettingsKey = compilerSettingsKey;
+        // Overrides apply when publishing, so no new check is needed
+        for (const uri of new Set([...this.compilerDiagnostics.keys(), ...this.analysisDiagnostics.keys()])) {
+            this.publish(uri);
+        }
+    }
 
-        // Also try to find JAR in the extension directory
-        if (!this.hslJarPath) {
-            const extensionDir = path.dirname(__dirname);
-            const possibleJarPaths = [
-                path.join(extensionDir, 'hsl', 'build', 'libs', 'hsl-*-all.jar'), // Prefer shadow JAR with dependencies
-                path.join(extensionDir, 'hsl', 'build', 'libs', 'hsl-*.jar'),
-                path.join(extensionDir, 'hsl', 'target', 'hsl-*.jar'),
-                path.join(extensionDir, 'hsl', 'hsl.jar')
-            ];
-            
-            for (const jarPattern of possibleJarPaths) {
-                const files = this.findFiles(jarPattern);
-                if (files.length > 0) {
-                    this.hslJarPath = files[0];
-                    console.log('[HSL Language Server] Found JAR in extension dir:', this.hslJarPath);
-                    break;
+    async onDidChangeWorkspaceFolders(event) {
+        for (const removed of event.removed) {
+            const folder = path.normalize(uriToPath(removed.uri));
+            // Projects of the folder are no longer checked; drop what they reported
+            for (const projectDir of Array.from(this.published.keys())) {
+                if (projectDir === folder || projectDir.startsWith(folder + path.sep)) {
+                    this.scheduler.cancel(projectDir);
+                    this.publishProject(projectDir, new Map());
+                    this.published.delete(projectDir);
                 }
             }
+            this.workspace.removeFolder(folder);
         }
+        const added = event.added.map(f => uriToPath(f.uri));
+        await this.loadSettings([...this.workspace.folders, ...added]);
+        for (const folder of added) this.workspace.addFolder(folder);
 
-        if (!this.hslJarPath) {
-            console.warn('[HSL Language Server] Could not find HSL JAR file. Error checking will be disabled.');
-        }
+        this.reindexWorkspace();
+        this.analyzeOpenDocuments();
+        for (const document of this.documents.all()) this.scheduleCheck(document.uri);
+    }
+
+    // Symbol index of the project that owns a document
+    indexFor(uri) {
+        return this.workspace.indexFor(uriToPath(uri));
     }
 
-    findFiles(pattern) {
-        const glob = require('glob');
+    // Run a feature for the document named in `params`, if it is open
+    withDocument(params, feature) {
+        const document = this.documents.get(params.textDocument.uri);
+        if (!document) return null;
         try {
-            return glob.sync(pattern);
+            return feature(document);
         } catch (e) {
-            return [];
+            // Errors meant for the user, like a refused rename
+            if (e instanceof ResponseError) throw e;
+            log.error('[HSL Language Server] Request failed:', e);
+            return null;
         }
     }
 
-    async checkFile(uri, content) {
-        console.log('[HSL Language Server] Checking file:', uri);
-        
-        if (!this.hslJarPath) {
-            console.log('[HSL Language Server] No JAR path found, skipping error check');
-            return [];
+    // Open document, or the file on disk for workspace files that are not open
+    getDocument(uri) {
+        const document = this.documents.get(uri);
+        if (document) return document;
+        try {
+            return TextDocument.create(uri, 'hsl', 0, fs.readFileSync(uriToPath(uri), 'utf8'));
+        } catch (_) {
+            return null;
         }
+    }
 
-        const filePath = uri.replace('file://', '');
-        
-        // Only check .hsl files
-        if (!filePath.endsWith('.hsl')) {
-            console.log('[HSL Language Server] Not an HSL file, skipping');
-            return [];
+    // Workspace indexing for .hsl source files (excluding std)
+    reindexWorkspace() {
+        const started = Date.now();
+        let count = 0;
+        this.workspace.clearIndexes();
+        for (const folder of this.workspace.folders) {
+            for (const file of listHslFiles(folder, SKIPPED_DIRS, MAX_WORKSPACE_FILES)) {
+                this.indexFile(file);
+                count++;
+            }
         }
+        // Open documents win over what is on disk
+        for (const document of this.documents.all()) this.indexDocument(document);
+        log.info('[HSL Language Server] Indexed', count, 'files in', Date.now() - started, 'ms');
+        this.refreshSemanticTokens();
+    }
+
+    indexDocument(document) {
+        const filePath = uriToPath(document.uri);
+        if (this.std.isStdPath(filePath)) return;
+        this.indexFor(document.uri).indexText(document.uri, document.getText(), filePath, parseDocument(document));
+    }
 
+    indexFile(filePath) {
+        if (!filePath.endsWith('.hsl') || this.std.isStdPath(filePath)) return;
+        const uri = fileUri(filePath);
+        if (this.documents.get(uri)) return;
+        const index = this.workspace.indexFor(filePath);
         try {
-            // Find the nearest HSL project root (directory containing build.toml)
-            const projectDir = this.findProjectRoot(path.dirname(filePath));
-            if (!projectDir) {
-                console.log('[HSL Language Server] No build.toml found up the tree. Skipping diagnostics.');
-                return [];
-            }
+            index.indexText(uri, fs.readFileSync(filePath, 'utf8'), filePath);
+        } catch (_) {
+            index.removeUri(uri);
+        }
+    }
 
-            // Ensure file on disk matches current content (for accurate diagnostics)
-            try {
-                fs.writeFileSync(filePath, content, 'utf8');
-            } catch (_) {
-                // If we cannot write, continue with whatever is on disk
+    onDidChangeWatchedFiles(params) {
+        if (params.changes.some(change => path.basename(uriToPath(change.uri)) === 'build.toml')) {
+            // Projects were added, removed or changed: files may belong to other projects now
+            this.workspace.forgetProjects();
+            this.reindexWorkspace();
+            this.analyzeOpenDocuments();
+            for (const document of this.documents.all()) this.scheduleCheck(document.uri);
+            return;
+        }
+        for (const change of params.changes) {
+            if (change.type === FileChangeType.Deleted) {
+                if (!this.documents.get(change.uri)) this.indexFor(change.uri).removeUri(change.uri);
+            } else {
+                this.indexFile(uriToPath(change.uri));
             }
+            // Files changed outside the editor can fix or break the rest of the project
+            if (!this.documents.get(change.uri)) this.scheduleCheck(change.uri);
+        }
+        this.refreshSemanticTokens();
+        this.analyzeOpenDocuments();
+    }
 
-            // Run the HSL compiler diagnostics at the project root
-            const diagnostics = await this.runCompiler(projectDir, filePath);
-            console.log('[HSL Language Server] Found diagnostics:', diagnostics.length);
-            return diagnostics;
-        } catch (error) {
-            console.error('[HSL Language Server] Error checking file:', error);
-            return [];
-        }
-    }
-
-    findProjectRoot(startDir) {
-        let dir = startDir;
-        for (let i = 0; i < 20; i++) { // walk up at most 20 levels
-            const buildPath = path.join(dir, 'build.toml');
-            if (fs.existsSync(buildPath)) return dir;
-            const parent = path.dirname(dir);
-            if (parent === dir) break;
-            dir = parent;
-        }
-        return null;
-    }
-
-    async runCompiler(projectDir, filePath) {
-        return new Promise((resolve) => {
-            const diagnostics = [];
-            
-            console.log('[HSL Language Server] Running compiler with JAR:', this.hslJarPath);
-            console.log('[HSL Language Server] Project directory:', projectDir);
-            console.log('[HSL Language Server] File to check:', filePath);
-            
-            // Run Java with HSL JAR using the diagnostics command (JSON stdout)
-            const args = [
-                '-jar', this.hslJarPath,
-                'diagnostics'
-            ];
-
-            console.log('[HSL Language Server] Command:', this.javaPath, args.join(' '));
-
-            const process = spawn(this.javaPath, args, {
-                cwd: projectDir, // Run from the project directory
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
+    refreshInlayHints() {
+        this.connection.languages.inlayHint.refresh().catch(() => {});
+    }
 
-            let stdout = '';
-            let stderr = '';
+    refreshSemanticTokens() {
+        this.connection.languages.semanticTokens.refresh().catch(() => {});
+    }
 
-            process.stdout.on('data', (data) => {
-                stdout += data.toString();
-            });
+    /**
+     * Semantic tokens of a whole document, as edits to the result `previousResultId`
+     * when the client still has it.
+     */
+    semanticTokens(document, previousResultId) {
+        let builder = this.semanticTokenBuilders.get(document.uri);
+        // Without the tokens the client has, all of them are sent again
+        const delta = !!builder && builder.id === previousResultId;
+        if (delta) {
+            builder.previousResult(previousResultId);
+        } else {
+            builder = new SemanticTokensBuilder();
+            this.semanticTokenBuilders.set(document.uri, builder);
+        }
+        provideSemanticTokens(this.indexFor(document.uri), document, builder);
+        return delta ? builder.buildEdits() : builder.build();
+    }
 
-            process.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
+    // Directory containing the build.toml that `uri` belongs to, or null
+    projectFor(uri) {
+        const filePath = uriToPath(uri);
+        if (!filePath.endsWith('.hsl')) return null;
+        return this.workspace.projectFor(filePath);
+    }
 
-            process.on('close', (code) => {
-                console.log('[HSL Language Server] Compiler exit code:', code);
-                console.log('[HSL Language Server] stdout:', stdout);
-                console.log('[HSL Language Server] stderr:', stderr);
-                
-                // diagnostics command always emits JSON diagnostics to stdout
-                const parsed = this.parseDiagnosticsJson(stdout, filePath);
-                console.log('[HSL Language Server] Parsed diagnostics:', parsed);
-                resolve(parsed);
-            });
+    scheduleCheck(uri) {
+        const projectDir = this.projectFor(uri);
+        if (projectDir) this.scheduler.schedule(projectDir, this.settings.diagnostics.delay);
+    }
 
-            process.on('error', (error) => {
-                console.error('[HSL Language Server] Failed to start compiler:', error);
-                resolve([]);
-            });
+    checkNow(uri) {
+        const projectDir = this.projectFor(uri);
+        return projectDir ? this.scheduler.runNow(projectDir) : undefined;
+    }
 
-            // Set a timeout to prevent hanging
-            setTimeout(() => {
-                console.log('[HSL Language Server] Compiler timeout, killing process');
-                process.kill();
-                resolve([]);
-            }, 10000); // 10 second timeout
-        });
+    // Check every build.toml project in the workspace folders
+    async checkWorkspace() {
+        const projects = new Set();
+        for (const folder of this.workspace.folders) {
+            for (const buildFile of listFiles(folder, name => name === 'build.toml', SKIPPED_DIRS)) {
+                projects.add(path.dirname(buildFile));
+            }
+        }
+        await Promise.all(Array.from(projects, projectDir => this.scheduler.runNow(projectDir)));
+        return { projects: projects.size };
     }
 
-    parseDiagnosticsJson(stdout, filePath) {
-        try {
-            const payload = JSON.parse(stdout);
-            if (!Array.isArray(payload)) return [];
-
-            const diagnostics = [];
-
-            for (const entry of payload) {
-                const severity = entry.type === 'ERROR' ? 1 : 2; // 1=Error, 2=Warning
-                const message = `${entry.type.toLowerCase()}[${entry.code}]: ${entry.title}`;
-                const fullMessage = [message]
-                    .concat((entry.notes || []).map(n => `Note: ${n}`))
-                    .join('\n');
-                const entryFile = typeof entry.file === 'string' ? entry.file : undefined;
-
-                // Each entry.errors is a list, each has tokens[]; create a diagnostic per token span
-                const errorsList = Array.isArray(entry.errors) ? entry.errors : [];
-                for (const err of errorsList) {
-                    const tokens = Array.isArray(err.tokens) ? err.tokens : [];
-                    if (tokens.length === 0) continue;
-
-                    // Highlight the first token span; optionally merge spans if multiple tokens exist
-                    const tok = tokens[0];
-                    const meta = tok.meta || {};
-                    const lineZero = Math.max(0, (meta.lineNumber || 1) - 1);
-                    const startChar = Math.max(0, meta.lineIndex || 0);
-                    const length = Math.max(1, (meta.endIndex || startChar) - (meta.beginIndex || startChar));
-
-                    diagnostics.push({
-                        severity,
-                        range: {
-                            start: { line: lineZero, character: startChar },
-                            end: { line: lineZero, character: startChar + length }
-                        },
-                        message,
-                        fullMessage,
-                        source: 'HSL Compiler',
-                        code: String(entry.code),
-                        filePath: entryFile
-                    });
-                }
+    /**
+     * Check a project with the compiler. Resolves to a map of file URI to LSP
+     * diagnostics for every file the compiler reported, or null when superseded.
+     */
+    async checkProject(projectDir) {
+        const diagnostics = await this.workspace.compilerFor(projectDir).checkProject(projectDir);
+        if (diagnostics === null) return null;
+
+        /** @type {Map<string, any[]>} */
+        const byUri = new Map();
+        for (const diag of diagnostics) {
+            // Entries without a file belong to the project as a whole
+            const filePath = path.normalize(diag.filePath || path.join(projectDir, 'build.toml'));
+            const uri = fileUri(filePath);
+            if (!byUri.has(uri)) byUri.set(uri, []);
+            byUri.get(uri).push(this.toLspDiagnostic(diag, uri));
+        }
+        return byUri;
+    }
+
+    publishProject(projectDir, byUri) {
+        // Files that had diagnostics before but are clean now
+        for (const uri of this.published.get(projectDir) || []) {
+            if (!byUri.has(uri)) {
+                this.compilerDiagnostics.delete(uri);
+                this.publish(uri);
             }
+        }
+        for (const [uri, diagnostics] of byUri) {
+            this.compilerDiagnostics.set(uri, diagnostics);
+            this.publish(uri);
+        }
+        this.published.set(projectDir, new Set(byUri.keys()));
+    }
 
-            return diagnostics;
+    // Unused stats depend on every file: all open documents are analyzed again when the std library, the workspace or files on disk change
+    analyzeOpenDocuments() {
+        for (const document of this.documents.all()) this.analyzeDocument(document);
+    }
+
+    analyzeDocument(document) {
+        let diagnostics = [];
+        try {
+            if (!this.std.isStdPath(uriToPath(document.uri))) {
+                diagnostics = provideAnalysisDiagnostics(this.indexFor(document.uri), document);
+            }
         } catch (e) {
-            console.error('[HSL Language Server] Failed to parse diagnostics JSON:', e);
-            return [];
+            log.error('[HSL Language Server] Analysis failed for', document.uri, e);
         }
+        this.analysisDiagnostics.set(document.uri, diagnostics);
+        this.publish(document.uri);
     }
 
-    getDiagnostics(uri) {
-        return this.diagnostics.get(uri) || [];
+    // Re-analyze the open documents of the project of `uri` once nothing changed for the diagnostics delay
+    scheduleAnalysis(uri) {
+        const projectDir = this.projectFor(uri);
+        if (projectDir) this.analysisScheduler.schedule(projectDir, this.settings.diagnostics.delay);
     }
 
-    setDiagnostics(uri, diagnostics) {
-        this.diagnostics.set(uri, diagnostics);
+    analyzeProject(projectDir) {
+        for (const document of this.documents.all()) {
+            if (this.projectFor(document.uri) === projectDir) this.analyzeDocument(document);
+        }
     }
 
-    clearDiagnostics(uri) {
-        this.diagnostics.delete(uri);
+    // Send the compiler and analysis diagnostics of a file, with the user's severity overrides applied
+    publish(uri) {
+        const overrides = this.settings.diagnostics.severityOverrides || {};
+        const diagnostics = [];
+        for (const diagnostic of [...(this.compilerDiagnostics.get(uri) || []), ...(this.analysisDiagnostics.get(uri) || [])]) {
+            const override = String(overrides[diagnostic.code] || '').toLowerCase();
+            if (!Object.prototype.hasOwnProperty.call(SEVERITY_OVERRIDES, override)) {
+                diagnostics.push(diagnostic);
+            } else if (SEVERITY_OVERRIDES[override] !== null) {
+                diagnostics.push({ ...diagnostic, severity: SEVERITY_OVERRIDES[override] });
+            }
+        }
+        this.connection.sendDiagnostics({ uri, diagnostics });
+    }
+
+    toLspDiagnostic(diag, uri) {
+        const diagnostic = {
+            range: diag.range,
+            message: diag.message,
+            severity: diag.severity,
+            code: diag.code,
+            source: diag.source
+        };
+        if (diag.codeDescription) diagnostic.codeDescription = diag.codeDescription;
+        // Secondary tokens and compiler notes, possibly in other files
+        if (diag.related.length > 0) {
+            diagnostic.relatedInformation = diag.related.map(related => ({
+                location: {
+                    uri: related.filePath ? fileUri(related.filePath) : uri,
+                    range: related.range
+                },
+                message: related.message
+            }));
+        }
+        return diagnostic;
     }
+
+    dispose() {
+        this.scheduler.dispose();
+        this.analysisScheduler.dispose();
+        for (const d of this.disposables) {
+            try { d.dispose(); } catch (_) {}
+        }
+        this.disposables = [];
+        // Give the compiler daemons a chance to exit cleanly
+        return this.workspace.dispose();
+    }
+}
+
+if (require.main === module) {
+    const connection = createConnection(ProposedFeatures.all);
+    // stdout carries the protocol; route logging to the client instead
+    log.setLogSink(connection.console);
+    console.log = (...args) => log.trace(...args);
+    console.info = (...args) => log.info(...args);
+    console.warn = (...args) => log.warn(...args);
+    console.error = (...args) => log.error(...args);
+    new HSLanguageServer(connection).listen();
 }
 
 module.exports = HSLanguageServer;
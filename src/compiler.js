@@ -0,0 +1,359 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const ShadowProject = require('./shadow');
+const { CompilerDaemon, RequestCancelledError, DaemonExitedError, RequestTimeoutError } = require('./daemon');
+const { parseDiagnosticsPayload } = require('./diagnostics');
+const log = require('./log');
+
+/**
+ * Wrapper around the Java-based HSL compiler: finds the JAR, mirrors projects
+ * with unsaved buffers applied and turns the compiler's JSON into diagnostics.
+ */
+class HSLCompiler {
+    /**
+     * @param {Map<string, string>} [overlays] unsaved buffers, may be shared between compilers
+     */
+    constructor(overlays = new Map()) {
+        this.javaPath = 'java';
+        this.jvmArgs = [];
+        this.configuredJarPath = ''; // hsl.compiler.jarPath, empty to search the workspace
+        this.hslJarPath = null;
+        this.workspaceRoot = null;
+        this.overlays = overlays; // absolute file path -> unsaved buffer text
+        this.shadows = new Map(); // project dir -> ShadowProject
+        this.daemon = null; // CompilerDaemon, started once a JAR is found
+        this.timeoutMs = 10000;
+        this.settings = {}; // hsl.compiler.* settings
+        this.initialized = false;
+        this.onStatusChange = null; // (status) => void, see getStatus()
+    }
+
+    async initialize(workspaceRoot) {
+        this.workspaceRoot = workspaceRoot;
+        this.initialized = true;
+        this.applySettings(this.settings);
+    }
+
+    /**
+     * Use new hsl.compiler.* settings. Before initialize() they are only stored,
+     * so the daemon is not started twice during startup.
+     * @param {{jarPath?:string, javaHome?:string, timeoutMs?:number, jvmArgs?:string[]}} settings
+     */
+    configure(settings) {
+        this.settings = settings || {};
+        if (this.initialized) this.applySettings(this.settings);
+    }
+
+    // The daemon is restarted when the JAR, the Java runtime or the JVM arguments change
+    applySettings(settings) {
+        const previous = [this.javaPath, this.hslJarPath, ...this.jvmArgs].join('\0');
+
+        const javaHome = (settings.javaHome || '').trim();
+        this.javaPath = javaHome ? path.join(javaHome, 'bin', process.platform === 'win32' ? 'java.exe' : 'java') : 'java';
+        this.jvmArgs = Array.isArray(settings.jvmArgs) ? settings.jvmArgs.filter(a => typeof a === 'string' && a) : [];
+        this.timeoutMs = Math.max(1000, Number(settings.timeoutMs) || 10000);
+        this.configuredJarPath = (settings.jarPath || '').trim();
+        this.locateJar();
+
+        if (!this.daemon || [this.javaPath, this.hslJarPath, ...this.jvmArgs].join('\0') !== previous) {
+            const daemon = this.daemon;
+            this.daemon = null;
+            if (daemon) daemon.dispose();
+            this.startDaemon();
+        }
+    }
+
+    locateJar() {
+        this.hslJarPath = null;
+
+        if (this.configuredJarPath) {
+            // Relative paths are taken from the workspace root; globs pick the first match
+            const configured = path.resolve(this.workspaceRoot || process.cwd(), this.configuredJarPath);
+            const files = configured.includes('*') ? this.findFiles(configured) : (fs.existsSync(configured) ? [configured] : []);
+            if (files.length > 0) {
+                this.hslJarPath = files[0];
+                log.info('[HSL Compiler] Using configured JAR:', this.hslJarPath);
+            } else {
+                log.warn('[HSL Compiler] Configured JAR not found:', configured);
+            }
+            this.notifyStatus();
+            return;
+        }
+
+        // Find the HSL JAR file
+        const hslDir = this.workspaceRoot ? path.join(this.workspaceRoot, 'hsl') : null;
+        if (hslDir && fs.existsSync(hslDir)) {
+            // Look for built JAR in hsl/build/libs/ or hsl/target/
+            const possibleJarPaths = [
+                path.join(hslDir, 'build', 'libs', 'hsl-*-all.jar'), // Prefer shadow JAR with dependencies
+                path.join(hslDir, 'build', 'libs', 'hsl-*.jar'),
+                path.join(hslDir, 'target', 'hsl-*.jar'),
+                path.join(hslDir, 'hsl.jar')
+            ];
+            
+            for (const jarPattern of possibleJarPaths) {
+                const files = this.findFiles(jarPattern);
+                if (files.length > 0) {
+                    this.hslJarPath = files[0];
+                    log.info('[HSL Compiler] Found JAR:', this.hslJarPath);
+                    break;
+                }
+            }
+        }
+
+        // Also try to find JAR in the extension directory
+        if (!this.hslJarPath) {
+            const extensionDir = path.dirname(__dirname);
+            const possibleJarPaths = [
+                path.join(extensionDir, 'hsl', 'build', 'libs', 'hsl-*-all.jar'), // Prefer shadow JAR with dependencies
+                path.join(extensionDir, 'hsl', 'build', 'libs', 'hsl-*.jar'),
+                path.join(extensionDir, 'hsl', 'target', 'hsl-*.jar'),
+                path.join(extensionDir, 'hsl', 'hsl.jar')
+            ];
+            
+            for (const jarPattern of possibleJarPaths) {
+                const files = this.findFiles(jarPattern);
+                if (files.length > 0) {
+                    this.hslJarPath = files[0];
+                    log.info('[HSL Compiler] Found JAR in extension dir:', this.hslJarPath);
+                    break;
+                }
+            }
+        }
+
+        if (!this.hslJarPath) {
+            log.warn('[HSL Compiler] Could not find HSL JAR file. Error checking will be disabled.');
+        }
+        this.notifyStatus();
+    }
+
+    /**
+     * What the status bar shows:
+     *   missing  no JAR found
+     *   starting the daemon is coming up
+     *   ready    the daemon is running, `version` is what it reported
+     *   oneShot  the compiler has no daemon mode and runs once per check
+     */
+    getStatus() {
+        let state;
+        if (!this.hslJarPath) state = 'missing';
+        else if (this.daemon && this.daemon.unsupported) state = 'oneShot';
+        else if (this.daemon && this.daemon.isReady) state = 'ready';
+        else state = 'starting';
+        return {
+            state,
+            jarPath: this.hslJarPath,
+            javaPath: this.javaPath,
+            version: this.daemon ? this.daemon.version : null
+        };
+    }
+
+    notifyStatus() {
+        if (this.onStatusChange) this.onStatusChange(this.getStatus());
+    }
+
+    findFiles(pattern) {
+        const glob = require('glob');
+        try {
+            return glob.sync(pattern);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Check a whole project (directory containing build.toml) with all unsaved
+     * buffers applied. Diagnostic file paths point into the real project.
+     */
+    async checkProject(projectDir) {
+        if (!this.hslJarPath) {
+            log.trace('[HSL Compiler] No JAR path found, skipping error check');
+            return [];
+        }
+
+        try {
+            // Mirror the project with all unsaved buffers applied, then compile the mirror
+            let shadow = this.shadows.get(projectDir);
+            if (!shadow) {
+                shadow = new ShadowProject(projectDir);
+                this.shadows.set(projectDir, shadow);
+            }
+            const shadowDir = shadow.sync(this.overlays);
+
+            // Run the HSL compiler diagnostics at the shadow project root
+            const diagnostics = await this.runCompiler(shadowDir);
+            for (const diag of diagnostics) {
+                if (diag.filePath) diag.filePath = shadow.toRealPath(diag.filePath);
+                for (const related of diag.related) {
+                    if (related.filePath) related.filePath = shadow.toRealPath(related.filePath);
+                }
+            }
+            log.trace('[HSL Compiler] Found diagnostics:', diagnostics.length);
+            return diagnostics;
+        } catch (error) {
+            if (error instanceof RequestCancelledError) {
+                log.trace('[HSL Compiler] Check superseded by a newer one');
+                return null;
+            }
+            log.error('[HSL Compiler] Error checking project:', error);
+            return [];
+        }
+    }
+
+    // Nearest directory at or above `startDir` that contains a build.toml, or null
+    static findProjectRoot(startDir) {
+        let dir = startDir;
+        for (let i = 0; i < 20; i++) { // walk up at most 20 levels
+            const buildPath = path.join(dir, 'build.toml');
+            if (fs.existsSync(buildPath)) return dir;
+            const parent = path.dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+        return null;
+    }
+
+    getDaemon() {
+        if (!this.daemon && this.hslJarPath) {
+            this.daemon = new CompilerDaemon({
+                command: this.javaPath,
+                args: [...this.jvmArgs, '-jar', this.hslJarPath, 'daemon'],
+                cwd: this.workspaceRoot || undefined,
+                onStatusChange: () => this.notifyStatus()
+            });
+        }
+        return this.daemon && !this.daemon.unsupported ? this.daemon : null;
+    }
+
+    // Start the daemon ahead of the first check, so its version is known early
+    startDaemon() {
+        const daemon = this.getDaemon();
+        if (daemon) daemon.start().catch(() => {});
+        this.notifyStatus();
+    }
+
+    /**
+     * Cancel the running check of `projectDir`, if the daemon is running it. The
+     * check then resolves to null.
+     */
+    cancelCheck(projectDir) {
+        const shadow = this.shadows.get(projectDir);
+        if (shadow && this.daemon) this.daemon.cancelKey(shadow.shadowDir);
+    }
+
+    async runCompiler(projectDir, retried = false) {
+        const daemon = this.getDaemon();
+        if (daemon) {
+            try {
+                const payload = await daemon.request('diagnostics', { projectDir }, {
+                    key: projectDir, // a newer check of the same project supersedes this one
+                    timeoutMs: this.timeoutMs
+                });
+                return this.parseDiagnostics(payload, projectDir);
+            } catch (error) {
+                if (error instanceof RequestCancelledError) throw error;
+                // The daemon is restarted after a crash; a second crash falls back to a single run
+                if (error instanceof DaemonExitedError && !retried) {
+                    log.warn('[HSL Compiler] Compiler daemon exited during a check, checking again');
+                    return this.runCompiler(projectDir, true);
+                }
+                // A project that is too slow for the daemon would only be compiled twice
+                // over, and an error the daemon answered with would come back from a single run
+                if (error instanceof RequestTimeoutError || (!(error instanceof DaemonExitedError) && daemon.isReady)) {
+                    log.warn('[HSL Compiler] Check failed:', error.message);
+                    return [];
+                }
+                log.warn('[HSL Compiler] Compiler daemon request failed, running compiler directly:', error.message);
+            }
+        }
+        return this.runCompilerOnce(projectDir);
+    }
+
+    // Fallback for compilers without a daemon mode or whose daemon keeps crashing: one JVM per check
+    async runCompilerOnce(projectDir) {
+        return new Promise((resolve) => {
+            const diagnostics = [];
+            
+            log.trace('[HSL Compiler] Running compiler with JAR:', this.hslJarPath);
+            log.trace('[HSL Compiler] Project directory:', projectDir);
+            
+            // Run Java with HSL JAR using the diagnostics command (JSON stdout)
+            const args = [
+                ...this.jvmArgs,
+                '-jar', this.hslJarPath,
+                'diagnostics'
+            ];
+
+            log.trace('[HSL Compiler] Command:', this.javaPath, args.join(' '));
+
+            const process = spawn(this.javaPath, args, {
+                cwd: projectDir, // Run from the project directory
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+
+            let stdout = '';
+            let stderr = '';
+
+            process.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+
+            process.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+
+            process.on('close', (code) => {
+                clearTimeout(timer);
+                log.trace('[HSL Compiler] Compiler exit code:', code);
+                log.trace('[HSL Compiler] stdout:', stdout);
+                log.trace('[HSL Compiler] stderr:', stderr);
+                
+                // diagnostics command always emits JSON diagnostics to stdout
+                const parsed = this.parseDiagnosticsJson(stdout, projectDir);
+                log.trace('[HSL Compiler] Parsed diagnostics:', parsed.length);
+                resolve(parsed);
+            });
+
+            process.on('error', (error) => {
+                log.error('[HSL Compiler] Failed to start compiler:', error);
+                resolve([]);
+            });
+
+            // Set a timeout to prevent hanging
+            const timer = setTimeout(() => {
+                log.warn('[HSL Compiler] Compiler timeout, killing process');
+                process.kill();
+                resolve([]);
+            }, this.timeoutMs);
+        });
+    }
+
+    parseDiagnosticsJson(stdout, projectDir) {
+        try {
+            return this.parseDiagnostics(JSON.parse(stdout), projectDir);
+        } catch (e) {
+            log.error('[HSL Compiler] Failed to parse diagnostics JSON:', e);
+            return [];
+        }
+    }
+
+    parseDiagnostics(payload, projectDir) {
+        try {
+            return parseDiagnosticsPayload(payload, projectDir);
+        } catch (e) {
+            log.error('[HSL Compiler] Failed to read compiler diagnostics:', e);
+            return [];
+        }
+    }
+
+    dispose() {
+        for (const shadow of this.shadows.values()) shadow.dispose();
+        this.shadows.clear();
+        const daemon = this.daemon;
+        this.daemon = null;
+        return daemon ? daemon.dispose() : Promise.resolve();
+    }
+}
+
+module.exports = HSLCompiler;
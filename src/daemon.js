@@ -0,0 +1,320 @@
+const { spawn } = require('child_process');
+const log = require('./log');
+
+/**
+ * Raised for requests that were superseded by a newer request with the same key,
+ * cancelled with cancelKey, or still pending when the daemon shut down.
+ */
+class RequestCancelledError extends Error {
+    constructor(message = 'Request cancelled') {
+        super(message);
+        this.name = 'RequestCancelledError';
+    }
+}
+
+/**
+ * Raised for requests that were still pending when the daemon exited on its own.
+ * The daemon is restarted, so the request can be made again.
+ */
+class DaemonExitedError extends Error {
+    constructor(message = 'Compiler daemon exited') {
+        super(message);
+        this.name = 'DaemonExitedError';
+    }
+}
+
+/**
+ * Raised for requests the daemon did not answer within their timeout. The daemon
+ * is assumed to be stuck and restarted.
+ */
+class RequestTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`Compiler request timed out after ${timeoutMs} ms`);
+        this.name = 'RequestTimeoutError';
+    }
+}
+
+/**
+ * Long-lived compiler process spoken to over stdin/stdout.
+ *
+ * The protocol is newline-delimited JSON:
+ *   daemon -> client  {"event":"ready","version":"1.2.3"}          once, after startup
+ *   client -> daemon  {"id":1,"method":"diagnostics","params":{...}}
+ *   daemon -> client  {"id":1,"result":...} or {"id":1,"error":{"message":"..."}}
+ *   client -> daemon  {"method":"cancel","params":{"id":1}}         best effort
+ *   client -> daemon  {"method":"shutdown"}                         then stdin is closed
+ *
+ * Anything that speaks this protocol can stand in for the Java compiler, which is
+ * how the daemon is exercised without a JVM.
+ */
+class CompilerDaemon {
+    /**
+     * @param {{command:string, args:string[], cwd?:string, readyTimeoutMs?:number, maxStartAttempts?:number, restartDelayMs?:number, onStatusChange?:() => void}} options
+     */
+    constructor(options) {
+        this.command = options.command;
+        this.args = options.args;
+        this.cwd = options.cwd;
+        this.readyTimeoutMs = options.readyTimeoutMs || 30000;
+        this.maxStartAttempts = options.maxStartAttempts || 3;
+        this.restartDelayMs = options.restartDelayMs || 500; // first restart delay, doubled per failed start
+        // Called when the daemon becomes ready, exits or is given up on
+        this.onStatusChange = options.onStatusChange || (() => {});
+
+        this.process = null;
+        this.ready = null; // Promise resolved once the daemon reported ready
+        this.version = null;
+        this.isReady = false;
+        this.nextId = 1;
+        this.pending = new Map(); // id -> { resolve, reject, key, timer }
+        this.latestByKey = new Map(); // key -> id of the newest request for that key
+        this.failedStarts = 0; // consecutive starts that never reached ready
+        this.restartTimer = null;
+        this.disposed = false;
+        // Set once the daemon failed to come up too often; callers should fall back
+        this.unsupported = false;
+    }
+
+    start() {
+        if (this.disposed || this.unsupported) return Promise.reject(new Error('Compiler daemon is not available'));
+        if (this.ready) return this.ready;
+
+        log.info('[HSL Compiler Daemon] Starting:', this.command, this.args.join(' '));
+        let child;
+        try {
+            child = spawn(this.command, this.args, {
+                cwd: this.cwd,
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        this.process = child;
+
+        this.ready = new Promise((resolve, reject) => {
+            let isReady = false;
+            let buffer = '';
+
+            const readyTimer = setTimeout(() => {
+                log.warn('[HSL Compiler Daemon] Did not become ready in time, killing process');
+                child.kill();
+            }, this.readyTimeoutMs);
+
+            child.stdout.on('data', (data) => {
+                buffer += data.toString();
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline).trim();
+                    buffer = buffer.slice(newline + 1);
+                    if (!line) continue;
+                    log.trace('[HSL Compiler Daemon] <--', line);
+                    let message;
+                    try {
+                        message = JSON.parse(line);
+                    } catch (_) {
+                        log.trace('[HSL Compiler Daemon] stdout (not JSON):', line);
+                        continue;
+                    }
+                    if (message.event === 'ready') {
+                        isReady = true;
+                        clearTimeout(readyTimer);
+                        this.failedStarts = 0;
+                        this.version = message.version || null;
+                        this.isReady = true;
+                        log.info('[HSL Compiler Daemon] Ready, version:', this.version);
+                        resolve();
+                        this.onStatusChange();
+                        continue;
+                    }
+                    this.handleMessage(message);
+                }
+            });
+
+            child.stderr.on('data', (data) => {
+                log.trace('[HSL Compiler Daemon] stderr:', data.toString());
+            });
+
+            child.on('error', (error) => {
+                log.error('[HSL Compiler Daemon] Failed to start:', error);
+            });
+
+            // Writes to a daemon that is exiting fail with EPIPE; its exit is handled on close
+            child.stdin.on('error', (error) => {
+                log.trace('[HSL Compiler Daemon] Failed to write to daemon:', error.message);
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(readyTimer);
+                if (this.process !== child) return;
+                this.process = null;
+                this.ready = null;
+                this.isReady = false;
+                if (this.disposed) {
+                    this.rejectAll(new RequestCancelledError('Compiler daemon shut down'));
+                    return;
+                }
+                this.rejectAll(new DaemonExitedError());
+
+                log.warn('[HSL Compiler Daemon] Exited with code', code);
+                this.onStatusChange();
+                if (!isReady) {
+                    this.failedStarts++;
+                    reject(new Error(`Compiler daemon exited before becoming ready (code ${code})`));
+                    if (this.failedStarts >= this.maxStartAttempts) {
+                        log.warn('[HSL Compiler Daemon] Giving up after', this.failedStarts, 'failed starts');
+                        this.unsupported = true;
+                        this.onStatusChange();
+                        return;
+                    }
+                }
+                this.scheduleRestart();
+            });
+        });
+        // Avoid unhandled rejections when nobody is waiting for this start
+        this.ready.catch(() => {});
+        return this.ready;
+    }
+
+    // Backoff before the next start: doubles with every start that failed in a row
+    restartDelay() {
+        return Math.min(30000, this.restartDelayMs * Math.pow(2, this.failedStarts));
+    }
+
+    scheduleRestart() {
+        if (this.restartTimer || this.disposed) return;
+        const delay = this.restartDelay();
+        log.info('[HSL Compiler Daemon] Restarting in', delay, 'ms');
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.start().catch(() => {});
+        }, delay);
+    }
+
+    /**
+     * Send a request. When `key` is given, an older pending request with the same
+     * key is cancelled: its promise rejects with RequestCancelledError.
+     *
+     * @param {string} method
+     * @param {object} params
+     * @param {{key?:string, timeoutMs?:number}} [options]
+     */
+    async request(method, params, options = {}) {
+        const id = this.nextId++;
+        const { key, timeoutMs } = options;
+        if (key !== undefined) {
+            const previous = this.latestByKey.get(key);
+            if (previous !== undefined) this.cancel(previous);
+            this.latestByKey.set(key, id);
+        }
+
+        try {
+            await this.start();
+        } catch (error) {
+            this.forgetKey(key, id);
+            throw error;
+        }
+        // Superseded or shut down while we were waiting for the daemon to come up
+        if (this.disposed) throw new RequestCancelledError('Compiler daemon shut down');
+        if (key !== undefined && this.latestByKey.get(key) !== id) {
+            throw new RequestCancelledError();
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject, key, timer: null };
+            if (timeoutMs) {
+                entry.timer = setTimeout(() => {
+                    log.warn('[HSL Compiler Daemon] Request', id, 'timed out, restarting daemon');
+                    this.settle(id, new RequestTimeoutError(timeoutMs));
+                    // A daemon that does not answer is assumed to be stuck
+                    if (this.process) this.process.kill();
+                }, timeoutMs);
+            }
+            this.pending.set(id, entry);
+            this.send({ id, method, params });
+        });
+    }
+
+    /**
+     * Cancel the newest request made with `key`, also when it is still waiting for
+     * the daemon to come up.
+     */
+    cancelKey(key) {
+        const id = this.latestByKey.get(key);
+        if (id === undefined) return;
+        this.latestByKey.delete(key);
+        this.cancel(id);
+    }
+
+    cancel(id) {
+        if (!this.pending.has(id)) return;
+        this.send({ method: 'cancel', params: { id } });
+        this.settle(id, new RequestCancelledError());
+    }
+
+    handleMessage(message) {
+        if (typeof message.id !== 'number' || !this.pending.has(message.id)) return;
+        if (message.error) {
+            this.settle(message.id, new Error(message.error.message || 'Compiler daemon error'));
+        } else {
+            this.settle(message.id, null, message.result);
+        }
+    }
+
+    settle(id, error, result) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+        this.pending.delete(id);
+        if (entry.timer) clearTimeout(entry.timer);
+        this.forgetKey(entry.key, id);
+        if (error) entry.reject(error);
+        else entry.resolve(result);
+    }
+
+    forgetKey(key, id) {
+        if (key !== undefined && this.latestByKey.get(key) === id) this.latestByKey.delete(key);
+    }
+
+    rejectAll(error) {
+        for (const id of Array.from(this.pending.keys())) this.settle(id, error);
+    }
+
+    send(message) {
+        if (!this.process || !this.process.stdin.writable) return;
+        const line = JSON.stringify(message);
+        log.trace('[HSL Compiler Daemon] -->', line);
+        try {
+            this.process.stdin.write(line + '\n');
+        } catch (error) {
+            log.error('[HSL Compiler Daemon] Failed to write request:', error);
+        }
+    }
+
+    /**
+     * Ask the daemon to shut down and wait for it to exit, killing it if it takes
+     * longer than `graceMs`.
+     */
+    dispose(graceMs = 2000) {
+        this.disposed = true;
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+        this.rejectAll(new RequestCancelledError('Compiler daemon shut down'));
+        const child = this.process;
+        if (!child) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const killTimer = setTimeout(() => child.kill(), graceMs);
+            child.on('close', () => {
+                clearTimeout(killTimer);
+                resolve();
+            });
+            this.send({ method: 'shutdown' });
+            try {
+                child.stdin.end();
+            } catch (_) {}
+        });
+    }
+}
+
+module.exports = { CompilerDaemon, RequestCancelledError, DaemonExitedError, RequestTimeoutError };
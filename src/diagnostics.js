@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+
+// LSP DiagnosticSeverity values
+const SEVERITY_ERROR = 1;
+const SEVERITY_WARNING = 2;
+const SEVERITY_INFORMATION = 3;
+const SEVERITY_HINT = 4;
+
+// Compiler entry types; anything unknown is shown as a warning
+const SEVERITIES = {
+    ERROR: SEVERITY_ERROR,
+    WARNING: SEVERITY_WARNING,
+    WARN: SEVERITY_WARNING,
+    INFO: SEVERITY_INFORMATION,
+    NOTE: SEVERITY_INFORMATION,
+    HINT: SEVERITY_HINT
+};
+
+// Every compiler error code is explained on the error index of the compiler repository
+const ERROR_CODE_DOCS_URL = 'https://github.com/housing-studio/hsl/blob/main/docs/errors.md';
+
+// Compiler error codes that have quick fixes; each is explained on the error index above
+const ERROR_CODES = {
+    UNKNOWN_VARIABLE: 'E0002',
+    UNKNOWN_FUNCTION: 'E0003',
+    MISSING_ARGUMENTS: 'E0004'
+};
+
+// Range used for entries that do not point at any token
+const FILE_RANGE = { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+
+/**
+ * Turn the output of the compiler's `diagnostics` command into diagnostics:
+ *
+ *     { severity, range, message, code, codeDescription, source, filePath, related: [{ filePath, range, message }] }
+ *
+ * An error's tokens become one range from its first to its last token, which may
+ * span several lines. Tokens in other files and notes become related locations,
+ * and entries without tokens are reported at the top of their file.
+ *
+ * @param {any} payload parsed JSON from the compiler
+ * @param {string} projectDir directory the compiler ran in, relative file paths are resolved against it
+ */
+function parseDiagnosticsPayload(payload, projectDir) {
+    if (!Array.isArray(payload)) return [];
+
+    const sources = new SourceCache(projectDir);
+    const diagnostics = [];
+
+    for (const entry of payload) {
+        if (!entry || typeof entry !== 'object') continue;
+        const type = String(entry.type || 'ERROR');
+        const severity = SEVERITIES[type.toUpperCase()] || SEVERITY_WARNING;
+        const message = `${type.toLowerCase()}[${entry.code}]: ${entry.title}`;
+        const entryFile = sources.resolve(entry.file);
+        const notes = Array.isArray(entry.notes) ? entry.notes : [];
+
+        const base = {
+            severity,
+            message,
+            source: 'HSL Compiler',
+            code: String(entry.code),
+            codeDescription: errorCodeDescription(entry.code)
+        };
+
+        const spans = (Array.isArray(entry.errors) ? entry.errors : [])
+            .map(err => tokenLocations(err && err.tokens, entryFile, sources))
+            .filter(locations => locations.length > 0);
+
+        if (spans.length === 0) {
+            // Nothing to point at: report the entry on its file
+            const location = { filePath: entryFile, range: FILE_RANGE };
+            diagnostics.push({
+                ...base,
+                range: location.range,
+                filePath: entryFile,
+                related: noteLocations(notes, location, entryFile, sources)
+            });
+            continue;
+        }
+
+        for (const locations of spans) {
+            const primaryFile = locations[0].filePath;
+            const inPrimary = locations.filter(l => l.filePath === primaryFile);
+            const primary = { filePath: primaryFile, range: mergeRanges(inPrimary.map(l => l.range)) };
+
+            const related = locations
+                .filter(l => l.filePath !== primaryFile)
+                .map(l => ({ filePath: l.filePath, range: l.range, message: l.text ? `\`${l.text}\`` : String(entry.title) }));
+            related.push(...noteLocations(notes, primary, entryFile, sources));
+
+            diagnostics.push({
+                ...base,
+                range: primary.range,
+                filePath: primaryFile,
+                related
+            });
+        }
+    }
+
+    return diagnostics;
+}
+
+function errorCodeDescription(code) {
+    if (code === undefined || code === null || code === '') return undefined;
+    return { href: `${ERROR_CODE_DOCS_URL}#${String(code).toLowerCase()}` };
+}
+
+// Notes are either plain strings, shown at the diagnostic itself, or objects with their own tokens
+function noteLocations(notes, primary, entryFile, sources) {
+    const related = [];
+    for (const note of notes) {
+        if (typeof note === 'string') {
+            related.push({ filePath: primary.filePath, range: primary.range, message: `Note: ${note}` });
+            continue;
+        }
+        if (!note || typeof note !== 'object') continue;
+        const text = String(note.message || note.text || note.title || '');
+        const noteFile = note.file ? sources.resolve(note.file) : entryFile;
+        const locations = tokenLocations(note.tokens || (note.errors && note.errors[0] && note.errors[0].tokens), noteFile, sources);
+        const filePath = locations.length > 0 ? locations[0].filePath : noteFile || primary.filePath;
+        const range = locations.length > 0
+            ? mergeRanges(locations.filter(l => l.filePath === filePath).map(l => l.range))
+            : primary.range;
+        related.push({ filePath, range, message: `Note: ${text}` });
+    }
+    return related;
+}
+
+function tokenLocations(tokens, defaultFile, sources) {
+    if (!Array.isArray(tokens)) return [];
+    const locations = [];
+    for (const tok of tokens) {
+        if (!tok || typeof tok !== 'object') continue;
+        const meta = tok.meta || {};
+        const file = meta.file || tok.file;
+        const filePath = file ? sources.resolve(file) : defaultFile;
+        const text = typeof tok.value === 'string' ? tok.value : (typeof tok.text === 'string' ? tok.text : undefined);
+        locations.push({ filePath, range: tokenRange(meta, text, sources.lines(filePath)), text });
+    }
+    return locations;
+}
+
+// The compiler reports a token by its line, column and length; walk the source so tokens may cross lines
+function tokenRange(meta, text, lines) {
+    const line = Math.max(0, (meta.lineNumber || 1) - 1);
+    const character = Math.max(0, meta.lineIndex || 0);
+    let length = Number.isFinite(meta.endIndex) && Number.isFinite(meta.beginIndex)
+        ? meta.endIndex - meta.beginIndex
+        : (text ? text.length : 0);
+    length = Math.max(1, length);
+
+    const start = { line, character };
+    if (!lines || line >= lines.length) {
+        return { start, end: { line, character: character + length } };
+    }
+
+    let endLine = line;
+    let endChar = character;
+    let remaining = length;
+    while (endLine < lines.length - 1 && endChar + remaining > lines[endLine].length) {
+        // +1 for the '\n' that ends the line
+        remaining -= lines[endLine].length - endChar + 1;
+        endLine++;
+        endChar = 0;
+        if (remaining <= 0) {
+            remaining = 0;
+            break;
+        }
+    }
+    return { start, end: { line: endLine, character: endChar + remaining } };
+}
+
+function mergeRanges(ranges) {
+    let start = ranges[0].start;
+    let end = ranges[0].end;
+    for (const range of ranges) {
+        if (comparePositions(range.start, start) < 0) start = range.start;
+        if (comparePositions(range.end, end) > 0) end = range.end;
+    }
+    return { start, end };
+}
+
+function comparePositions(a, b) {
+    return a.line !== b.line ? a.line - b.line : a.character - b.character;
+}
+
+// Source text of files the compiler points into, read once per payload
+class SourceCache {
+    constructor(projectDir) {
+        this.projectDir = projectDir;
+        this.cache = new Map(); // absolute path -> lines, or null if unreadable
+    }
+
+    resolve(file) {
+        if (typeof file !== 'string' || !file) return undefined;
+        return path.isAbsolute(file) || !this.projectDir ? file : path.join(this.projectDir, file);
+    }
+
+    lines(filePath) {
+        if (!filePath) return null;
+        if (!this.cache.has(filePath)) {
+            let lines = null;
+            try {
+                lines = fs.readFileSync(filePath, 'utf8').split('\n');
+            } catch (_) {}
+            this.cache.set(filePath, lines);
+        }
+        return this.cache.get(filePath);
+    }
+}
+
+module.exports = {
+    parseDiagnosticsPayload,
+    ERROR_CODES,
+    SEVERITY_ERROR,
+    SEVERITY_WARNING,
+    SEVERITY_INFORMATION,
+    SEVERITY_HINT
+};
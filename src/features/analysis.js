@@ -0,0 +1,170 @@
+const { DiagnosticSeverity, DiagnosticTag } = require('vscode-languageserver');
+const { parseDocument, walk, calleeOf, containsPosition } = require('../parser');
+const { inferType } = require('./inlay-hints');
+const { declarationKind, isDurationType, isDurationLiteral } = require('./annotations');
+
+// Whether `identifier` names a parameter or anything in the indexes
+function isKnownName(index, ast, identifier) {
+    const name = identifier.name;
+    const std = index.std;
+    let parameter = false;
+    walk(ast, (node) => {
+        if (node.type !== 'Function' && node.type !== 'Event') return true;
+        if (node.body && containsPosition(node.body.range, identifier.range.start)) {
+            parameter = parameter || (node.params || []).some(p => p.name === name);
+        }
+        return true;
+    });
+    return parameter
+        || index.stats.has(name) || index.constants.has(name) || index.functions.has(name) || index.macros.has(name)
+        || !!(std.actions[name] || std.conditions[name]) || std.constants.has(name) || std.macros.has(name)
+        || !!index.getType(name);
+}
+
+// An unclosed `{` and unknown names in the `{...}` expressions of `$"..."` strings
+function interpolationDiagnostics(index, ast, interpolation) {
+    const diagnostics = [];
+    const start = interpolation.range.start;
+    if (!interpolation.closed) {
+        diagnostics.push({
+            range: { start, end: { line: start.line, character: start.character + 1 } },
+            message: "Unclosed '{' in format string",
+            severity: DiagnosticSeverity.Error,
+            code: 'unclosed-interpolation',
+            source: 'HSL'
+        });
+    }
+    // Everything would be unknown before the std library is indexed
+    const std = index.std;
+    if (!interpolation.expression || (Object.keys(std.actions).length === 0 && Object.keys(std.conditions).length === 0)) {
+        return diagnostics;
+    }
+    walk(interpolation.expression, (node) => {
+        // Nested strings report their own interpolations
+        if (node.type === 'String') return false;
+        if (node.type !== 'Identifier' || isKnownName(index, ast, node)) return true;
+        diagnostics.push({
+            range: node.range,
+            message: `Unknown name '${node.name}'`,
+            severity: DiagnosticSeverity.Warning,
+            code: 'unknown-name',
+            source: 'HSL'
+        });
+        return true;
+    });
+    return diagnostics;
+}
+
+// Type of an argument that does not fit a parameter of type `type`, null when it fits or cannot be told
+function argumentMismatch(index, type, value) {
+    type = (type || '').trim();
+    if (!type || type === 'any') return null;
+    if (isDurationLiteral(value)) return isDurationType(type) ? null : 'duration';
+    const actual = inferType(index, value);
+    if (!actual || actual === type || (actual === 'int' && (type === 'float' || isDurationType(type)))) return null;
+    return actual;
+}
+
+// Annotations of `declaration` checked against the ones the std library declares
+function annotationDiagnostics(index, declaration) {
+    const diagnostics = [];
+    const report = (range, message, code, severity = DiagnosticSeverity.Error) => {
+        diagnostics.push({ range, message, severity, code, source: 'HSL' });
+    };
+    const kind = declarationKind(declaration);
+    for (const annotation of declaration.annotations) {
+        const name = annotation.name;
+        const info = index.std.annotations[name];
+        if (!info) {
+            report(annotation.nameRange, `Unknown annotation '@${name}'`, 'unknown-annotation', DiagnosticSeverity.Warning);
+            continue;
+        }
+        if (info.targets && !info.targets.includes(kind)) {
+            const allowed = info.targets.map(t => `'${t}'`).join(', ');
+            report(annotation.range, `'@${name}' cannot be placed on '${kind}', only on ${allowed}`, 'misplaced-annotation');
+        }
+        // Positional arguments take the parameters that are not named, in order
+        const params = info.params || [];
+        const named = new Set(annotation.args.filter(a => a.name).map(a => a.name));
+        const positional = params.filter(p => !named.has(p.name));
+        let next = 0;
+        for (const arg of annotation.args) {
+            const param = arg.name ? params.find(p => p.name === arg.name) : positional[next++];
+            if (!param) {
+                report(arg.name ? arg.nameRange : arg.range, arg.name
+                    ? `'@${name}' has no argument '${arg.name}'`
+                    : `Too many arguments for '@${name}'`, 'annotation-argument');
+                continue;
+            }
+            const actual = arg.value ? argumentMismatch(index, param.type, arg.value) : null;
+            if (actual) {
+                report(arg.value.range, `Argument '${param.name}' of '@${name}' expects ${param.type}, got ${actual}`, 'annotation-argument-type');
+            }
+        }
+        const given = annotation.args.filter(a => !a.name && a.value).length;
+        const missing = positional.slice(given).filter(p => p.defaultValue === undefined);
+        if (missing.length > 0) {
+            report(annotation.range, `'@${name}' is missing ${missing.map(p => `'${p.name}'`).join(', ')}`, 'annotation-argument');
+        }
+    }
+    return diagnostics;
+}
+
+/**
+ * Diagnostics the server finds on its own, without the compiler: stats that are
+ * never used, calls to deprecated std actions and conditions, unclosed `{` and
+ * unknown names in format strings, and annotations that are unknown, misplaced
+ * or given arguments of the wrong type.
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ */
+function provideAnalysisDiagnostics(index, document) {
+    const diagnostics = [];
+
+    const symbols = index.fileToSymbols.get(document.uri);
+    if (symbols) {
+        for (const stat of symbols.stats) {
+            if (index.isIdentifierUsed(stat.name)) continue;
+            diagnostics.push({
+                range: {
+                    start: { line: stat.line, character: stat.character },
+                    end: { line: stat.line, character: stat.character + stat.name.length }
+                },
+                message: `Stat '${stat.name}' is never used`,
+                severity: DiagnosticSeverity.Hint,
+                tags: [DiagnosticTag.Unnecessary],
+                code: 'unused-stat',
+                source: 'HSL'
+            });
+        }
+    }
+
+    const std = index.std;
+    const ast = parseDocument(document);
+    // Annotations are only checked once the std library declares them
+    const checkAnnotations = Object.keys(std.annotations).length > 0;
+    walk(ast, (node) => {
+        if (node.type === 'Interpolation') diagnostics.push(...interpolationDiagnostics(index, ast, node));
+        if (checkAnnotations && node.annotations && node.annotations.length > 0) diagnostics.push(...annotationDiagnostics(index, node));
+        if (node.type !== 'Call') return;
+        const callee = calleeOf(node);
+        if (!callee || callee.lhs) return;
+        const name = callee.name;
+        // Workspace functions shadow std actions of the same name
+        if (index.functions.has(name) || index.macros.has(name)) return;
+        const info = std.actions[name] || std.conditions[name];
+        if (!info || info.deprecated === null || info.deprecated === undefined) return;
+        diagnostics.push({
+            range: callee.range,
+            message: info.deprecated ? `'${name}' is deprecated: ${info.deprecated}` : `'${name}' is deprecated`,
+            severity: DiagnosticSeverity.Hint,
+            tags: [DiagnosticTag.Deprecated],
+            code: 'deprecated',
+            source: 'HSL'
+        });
+    });
+
+    return diagnostics;
+}
+
+module.exports = { provideAnalysisDiagnostics, isKnownName };
@@ -0,0 +1,49 @@
+const { walk, comparePositions } = require('../parser');
+
+// Annotations offered when the std library declares none
+const FALLBACK_ANNOTATIONS = ['description', 'icon', 'loop', 'executor', 'priority', 'listed'];
+
+/**
+ * Keyword of the declaration an annotation is placed on, as named by `@target`:
+ * 'fn', 'macro', 'command', 'const', 'stat', 'enum', 'struct', 'event', 'region', ...
+ */
+function declarationKind(node) {
+    if (node.type === 'Function') return node.kind;
+    if (node.type === 'Section') return node.keyword;
+    return node.type.toLowerCase();
+}
+
+// `@name(param: type = default, ...)`
+function annotationLabel(name, info) {
+    if (!info.params || info.params.length === 0) return `@${name}`;
+    const params = info.params.map(p => `${p.name}${p.type ? `: ${p.type}` : ''}${p.defaultValue !== undefined ? ` = ${p.defaultValue}` : ''}`);
+    return `@${name}(${params.join(', ')})`;
+}
+
+/**
+ * Annotation whose parentheses contain `position`, with the declaration it is on.
+ * @returns {{annotation:any, declaration:any}|null}
+ */
+function annotationAt(ast, position) {
+    let found = null;
+    walk(ast, (node) => {
+        for (const annotation of node.annotations || []) {
+            if (annotation.openRange && comparePositions(annotation.openRange.end, position) <= 0
+                && comparePositions(position, annotation.range.end) < (annotation.closed ? 0 : 1)) {
+                found = { annotation, declaration: node };
+            }
+        }
+    });
+    return found;
+}
+
+// Durations are written as a number with a unit, like `3s`
+function isDurationType(type) {
+    return /^duration$/i.test((type || '').trim());
+}
+
+function isDurationLiteral(node) {
+    return node.type === 'Literal' && node.kind === 'number' && /^\d+(\.\d+)?[A-Za-z]+$/.test(node.value);
+}
+
+module.exports = { FALLBACK_ANNOTATIONS, declarationKind, annotationLabel, annotationAt, isDurationType, isDurationLiteral };
@@ -0,0 +1,189 @@
+const { CodeActionKind, TextEdit } = require('vscode-languageserver');
+const { parseDocument, walk, containsPosition, calleeOf } = require('../parser');
+const { defaultValueForType } = require('../text');
+const { resolveCallee, boundParameter } = require('./signature-help');
+const { isKnownName } = require('./analysis');
+const { ERROR_CODES } = require('../diagnostics');
+
+const NAMESPACES = ['player', 'team', 'global'];
+const MAX_SUGGESTIONS = 3;
+const TEAM_PLACEHOLDER = 'Team';
+
+// Fixes offered per diagnostic code: the compiler's error codes and the codes of
+// the server's own analysis
+const FIXES_BY_CODE = {
+    [ERROR_CODES.UNKNOWN_VARIABLE]: ['unknownVariable'],
+    [ERROR_CODES.UNKNOWN_FUNCTION]: ['unknownFunction'],
+    [ERROR_CODES.MISSING_ARGUMENTS]: ['missingArguments'],
+    'unknown-name': ['unknownVariable', 'unknownFunction'],
+    'unused-stat': ['removeStat']
+};
+
+/**
+ * Quick fixes for the diagnostics in `context`, chosen by their code. An unknown
+ * variable can be declared as a stat or qualified with the enum it is a member
+ * of, an unknown function replaced by the closest known one, a call missing
+ * required arguments completed and an unused stat removed.
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {import('vscode-languageserver').CodeActionContext} context
+ */
+function provideCodeActions(index, document, context) {
+    const ast = parseDocument(document);
+    const actions = [];
+    for (const diagnostic of context.diagnostics) {
+        const fixes = FIXES_BY_CODE[diagnostic.code] || [];
+        const position = diagnostic.range.start;
+        if (fixes.includes('removeStat')) {
+            actions.push(...removeUnusedStat(ast, document, diagnostic));
+        }
+        if (fixes.includes('unknownVariable') || fixes.includes('unknownFunction')) {
+            const target = identifierAt(ast, position);
+            if (target && !isKnownName(index, ast, target.node)) {
+                const called = target.parent && target.parent.type === 'Call' && target.parent.callee === target.node;
+                if (called && fixes.includes('unknownFunction')) {
+                    actions.push(...didYouMean(index, document, diagnostic, target.node, target.parent.macro));
+                } else if (!called && fixes.includes('unknownVariable')) {
+                    const qualified = qualifyEnumMember(index, document, diagnostic, target.node);
+                    actions.push(...qualified, ...declareStat(ast, document, diagnostic, target.node, qualified.length === 0));
+                }
+            }
+        }
+        if (fixes.includes('missingArguments')) {
+            actions.push(...addMissingArguments(index, document, diagnostic, innermostCall(ast, position)));
+        }
+    }
+    return actions;
+}
+
+function quickFix(title, document, diagnostic, edits, isPreferred = false) {
+    const action = { title, kind: CodeActionKind.QuickFix, diagnostics: [diagnostic], edit: { changes: { [document.uri]: edits } } };
+    if (isPreferred) action.isPreferred = true;
+    return action;
+}
+
+// The stat declaration with its doc comment and annotations, as whole lines
+function removeUnusedStat(ast, document, diagnostic) {
+    let stat = null;
+    walk(ast, (node) => {
+        if (node.type === 'Stat' && node.nameRange && containsPosition(node.nameRange, diagnostic.range.start)) stat = node;
+    });
+    if (!stat) return [];
+    let first = stat.annotations.length > 0 ? stat.annotations[0].range.start.line : stat.range.start.line;
+    while (first > 0 && /^\s*\/\//.test(ast.lines[first - 1])) first--;
+    const range = { start: { line: first, character: 0 }, end: { line: stat.range.end.line + 1, character: 0 } };
+    return [quickFix(`Remove unused stat '${stat.name}'`, document, diagnostic, [TextEdit.del(range)], true)];
+}
+
+// The identifier at `position` and the node it belongs to
+function identifierAt(ast, position) {
+    let found = null;
+    walk(ast, (node, parent) => {
+        if (node.type === 'Identifier' && containsPosition(node.range, position)) found = { node, parent };
+    });
+    return found;
+}
+
+function innermostCall(ast, position) {
+    let found = null;
+    walk(ast, (node) => {
+        if (node.type === 'Call' && node.closed && containsPosition(node.range, position)) found = node;
+    });
+    return found;
+}
+
+// `Member` written without its enum: `Location::Member` for every enum that has it
+function qualifyEnumMember(index, document, diagnostic, identifier) {
+    return index.allEnumMembers()
+        .filter(([, members]) => Object.prototype.hasOwnProperty.call(members, identifier.name))
+        .map(([enumName], i, matches) => quickFix(
+            `Change to '${enumName}::${identifier.name}'`,
+            document,
+            diagnostic,
+            [TextEdit.replace(identifier.range, `${enumName}::${identifier.name}`)],
+            matches.length === 1
+        ));
+}
+
+// `stat <namespace> name` above the top-level declaration using it; team stats
+// get a placeholder team name to fill in
+function declareStat(ast, document, diagnostic, identifier, preferred) {
+    const declaration = ast.body.find(node => containsPosition(node.range, identifier.range.start));
+    let insertLine = declaration ? declaration.range.start.line : identifier.range.start.line;
+    if (declaration) {
+        if (declaration.annotations && declaration.annotations.length > 0) insertLine = declaration.annotations[0].range.start.line;
+        while (insertLine > 0 && /^\s*\/\//.test(ast.lines[insertLine - 1])) insertLine--;
+    }
+    const position = { line: insertLine, character: 0 };
+    const spacer = declaration && declaration.type !== 'Stat' ? '\n' : '';
+    return NAMESPACES.map((namespace, i) => {
+        const qualifier = namespace === 'team' ? `team "${TEAM_PLACEHOLDER}"` : namespace;
+        return quickFix(
+            `Declare ${namespace} stat '${identifier.name}'`,
+            document,
+            diagnostic,
+            [TextEdit.insert(position, `stat ${qualifier} ${identifier.name}\n${spacer}`)],
+            preferred && i === 0
+        );
+    });
+}
+
+// Known functions spelled closest to an unknown one
+function didYouMean(index, document, diagnostic, identifier, macro) {
+    const std = index.std;
+    const names = new Set(macro
+        ? [...index.macros.keys(), ...std.macros.keys()]
+        : [...index.functions.keys(), ...Object.keys(std.actions), ...Object.keys(std.conditions)]);
+    const wanted = identifier.name.toLowerCase();
+    const limit = Math.max(2, Math.floor(wanted.length / 3));
+    const candidates = [];
+    for (const name of names) {
+        const distance = editDistance(wanted, name.toLowerCase(), limit);
+        if (distance <= limit) candidates.push({ name, distance });
+    }
+    candidates.sort((a, b) => a.distance - b.distance || (a.name < b.name ? -1 : 1));
+    return candidates.slice(0, MAX_SUGGESTIONS).map(({ name }, i) => quickFix(
+        `Did you mean '${name}'?`,
+        document,
+        diagnostic,
+        [TextEdit.replace(identifier.range, name)],
+        i === 0
+    ));
+}
+
+// Levenshtein distance, or `limit + 1` once it is known to be larger than `limit`
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            best = Math.min(best, current[j]);
+        }
+        if (best > limit) return limit + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Named arguments for the parameters without a default that `call` leaves out
+function addMissingArguments(index, document, diagnostic, call) {
+    const callee = call && calleeOf(call);
+    const info = callee && resolveCallee(index, callee.lhs, callee.name);
+    if (!info || !info.params) return [];
+    const bound = new Set(call.args.map(arg => boundParameter(info.params, call, arg)));
+    const missing = info.params.filter(p => p.defaultValue === undefined && !bound.has(p));
+    if (missing.length === 0) return [];
+
+    const closing = call.range.end;
+    const position = { line: closing.line, character: closing.character - 1 };
+    const argumentText = (p) => `${p.name} = ${defaultValueForType(p.type, undefined, name => index.getEnumMembers(name)) || p.name}`;
+    const insert = (params) => TextEdit.insert(position, (call.args.length > 0 ? ', ' : '') + params.map(argumentText).join(', '));
+    const actions = [quickFix(`Add missing argument '${missing[0].name}'`, document, diagnostic, [insert([missing[0]])], missing.length === 1)];
+    if (missing.length > 1) actions.push(quickFix('Add all missing arguments', document, diagnostic, [insert(missing)], true));
+    return actions;
+}
+
+module.exports = { provideCodeActions };
@@ -0,0 +1,154 @@
+const { parseDocument, walk } = require('../parser');
+
+// The 16 legacy chat colours by code
+const COLORS = {
+    0: { name: 'Black', hex: '#000000' },
+    1: { name: 'Dark Blue', hex: '#0000AA' },
+    2: { name: 'Dark Green', hex: '#00AA00' },
+    3: { name: 'Dark Aqua', hex: '#00AAAA' },
+    4: { name: 'Dark Red', hex: '#AA0000' },
+    5: { name: 'Dark Purple', hex: '#AA00AA' },
+    6: { name: 'Gold', hex: '#FFAA00' },
+    7: { name: 'Gray', hex: '#AAAAAA' },
+    8: { name: 'Dark Gray', hex: '#555555' },
+    9: { name: 'Blue', hex: '#5555FF' },
+    a: { name: 'Green', hex: '#55FF55' },
+    b: { name: 'Aqua', hex: '#55FFFF' },
+    c: { name: 'Red', hex: '#FF5555' },
+    d: { name: 'Light Purple', hex: '#FF55FF' },
+    e: { name: 'Yellow', hex: '#FFFF55' },
+    f: { name: 'White', hex: '#FFFFFF' }
+};
+
+// Formatting codes and the HTML tag rendering them; `&k` (obfuscated) has none
+const FORMATS = { k: null, l: 'b', m: 'del', n: 'u', o: 'i' };
+
+// Chat text is white on a dark background
+const DEFAULT_COLOR = '#FFFFFF';
+const BACKGROUND = '#1E1E1E';
+
+function toColor(hex) {
+    const channel = (i) => parseInt(hex.slice(i, i + 2), 16) / 255;
+    return { red: channel(1), green: channel(3), blue: channel(5), alpha: 1 };
+}
+
+/**
+ * Pieces of a String node in order: `&` codes, plain text (escapes resolved)
+ * and the `{...}` expressions of a `$"..."` string as written.
+ * @returns {Array<{kind:'code', code:string, character:number}|{kind:'text'|'expression', text:string}>}
+ */
+function scanString(node) {
+    const offset = node.range.start.character;
+    const value = node.value;
+    const pieces = [];
+    const addText = (text) => {
+        const last = pieces[pieces.length - 1];
+        if (last && last.kind === 'text') last.text += text;
+        else pieces.push({ kind: 'text', text });
+    };
+    let i = node.interpolated ? 2 : 1;
+    const end = value.endsWith('"') && value.length > i ? value.length - 1 : value.length;
+    while (i < end) {
+        const part = node.parts.find(p => p.range.start.character === offset + i);
+        const ch = value[i];
+        if (part) {
+            const partEnd = Math.min(end, part.range.end.character - offset);
+            pieces.push({ kind: 'expression', text: value.slice(i, partEnd) });
+            i = partEnd;
+        } else if (ch === '\\') {
+            addText(value.slice(i + 1, i + 2));
+            i += 2;
+        } else if (ch === '&' && /[0-9a-fk-or]/i.test(value[i + 1] || '')) {
+            pieces.push({ kind: 'code', code: value[i + 1].toLowerCase(), character: offset + i });
+            i += 2;
+        } else {
+            addText(ch);
+            i++;
+        }
+    }
+    return pieces;
+}
+
+/**
+ * A colour swatch for every `&0`-`&f` colour code in the strings of a document.
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @returns {import('vscode-languageserver').ColorInformation[]}
+ */
+function provideDocumentColors(document) {
+    const colors = [];
+    walk(parseDocument(document), (node) => {
+        if (node.type !== 'String') return;
+        const line = node.range.start.line;
+        for (const piece of scanString(node)) {
+            if (piece.kind !== 'code' || !COLORS[piece.code]) continue;
+            colors.push({
+                range: { start: { line, character: piece.character }, end: { line, character: piece.character + 2 } },
+                color: toColor(COLORS[piece.code].hex)
+            });
+        }
+    });
+    return colors;
+}
+
+/**
+ * The legacy colours for a colour picked in the editor, closest first, each
+ * replacing the code at `range`.
+ * @param {import('vscode-languageserver').Color} color
+ * @param {import('vscode-languageserver').Range} range
+ * @returns {import('vscode-languageserver').ColorPresentation[]}
+ */
+function provideColorPresentations(color, range) {
+    const distance = (code) => {
+        const c = toColor(COLORS[code].hex);
+        return (c.red - color.red) ** 2 + (c.green - color.green) ** 2 + (c.blue - color.blue) ** 2;
+    };
+    return Object.keys(COLORS)
+        .sort((a, b) => distance(a) - distance(b))
+        .map(code => ({ label: `&${code} ${COLORS[code].name}`, textEdit: { range, newText: `&${code}` } }));
+}
+
+function escapeText(text) {
+    return text
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/[\\`*_[\]#~|]/g, '\\$&')
+        .replace(/ /g, '&nbsp;');
+}
+
+// HTML of the string as chat shows it: a colour code starts a new colour and
+// clears the formatting, `&r` resets both
+function renderPreview(pieces) {
+    let color = DEFAULT_COLOR;
+    let formats = [];
+    let html = '';
+    for (const piece of pieces) {
+        if (piece.kind === 'code') {
+            if (COLORS[piece.code]) {
+                color = COLORS[piece.code].hex;
+                formats = [];
+            } else if (piece.code === 'r') {
+                color = DEFAULT_COLOR;
+                formats = [];
+            } else if (FORMATS[piece.code] && !formats.includes(FORMATS[piece.code])) {
+                formats.push(FORMATS[piece.code]);
+            }
+            continue;
+        }
+        if (piece.text.length === 0) continue;
+        const open = formats.map(tag => `<${tag}>`).join('');
+        const close = formats.slice().reverse().map(tag => `</${tag}>`).join('');
+        html += `<span style="color:${color};background-color:${BACKGROUND};">${open}${escapeText(piece.text)}${close}</span>`;
+    }
+    return html;
+}
+
+/**
+ * Hover with an in-game preview of a String node, for strings that use `&`
+ * colour or formatting codes.
+ */
+function stringPreview(string) {
+    const pieces = scanString(string);
+    if (!pieces.some(piece => piece.kind === 'code')) return null;
+    return { contents: { kind: 'markdown', value: renderPreview(pieces) }, range: string.range };
+}
+
+module.exports = { provideDocumentColors, provideColorPresentations, stringPreview };
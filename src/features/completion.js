@@ -0,0 +1,423 @@
+const { CompletionItemKind, InsertTextFormat } = require('vscode-languageserver');
+const { getLines, getWordRangeOnLine, getPossiblyQualifiedToken, defaultValueForType } = require('../text');
+const { parseDocument, callsAt, calleeOf, stringAt, containsPosition } = require('../parser');
+const { resolveCallee, argumentsBefore, activeParameter } = require('./signature-help');
+const { FALLBACK_ANNOTATIONS, annotationLabel, annotationAt, isDurationType } = require('./annotations');
+
+const EVENT_TYPES = [
+    'join','quit','death','kill','respawn','groupChange','pvpStateChange','fishCaught','enterPortal','damage','blockBreak','startParkour','completeParkour','dropItem','pickUpItem','changeHeldItem','toggleSneak','toggleFlight'
+];
+const DURATIONS = ['1s', '5s', '10s', '30s', '60s'];
+const DECLARATION = /^(fn|macro|command|const|stat|enum|struct|event|region|menu|scoreboard)\b/;
+const BUILTIN_TYPES = ['void','int','float','string','bool','any'];
+
+// Characters that re-trigger completion: inside calls, qualified names, after slice, and annotations
+const TRIGGER_CHARACTERS = [':', '(', ',', '=', ']', '@'];
+
+function hslCodeBlock(signature) {
+    return { kind: 'markdown', value: '```hsl\n' + signature + '\n```' };
+}
+
+/**
+ * Build a completion item. `snippet` is inserted as a snippet; `range` is the text it replaces.
+ */
+function mkItem(label, kind, { detail, documentation, insertText, snippet, range, sortText, command } = {}) {
+    const item = { label, kind };
+    if (detail) item.detail = detail;
+    if (documentation) item.documentation = documentation;
+    if (sortText) item.sortText = sortText;
+    if (command) item.command = command;
+    const text = snippet !== undefined ? snippet : insertText;
+    if (snippet !== undefined) item.insertTextFormat = InsertTextFormat.Snippet;
+    if (range) {
+        item.textEdit = { range, newText: text !== undefined ? text : label };
+    } else if (text !== undefined) {
+        item.insertText = text;
+    }
+    return item;
+}
+
+function mkSnippet(label, snippet, detail) {
+    return mkItem(label, CompletionItemKind.Snippet, { detail, snippet });
+}
+
+// Builtin and declared types offered in type positions (after '[]' or in 'stat x: <Type>')
+function typeItems(index, replaceRange) {
+    const items = [];
+    for (const t of BUILTIN_TYPES) {
+        // Promote types in this context
+        items.push(mkItem(t, CompletionItemKind.Keyword, { detail: 'builtin type', range: replaceRange, sortText: '0_' + t }));
+    }
+    // Declared types (enums, structs) - insert just the type name
+    for (const [name, t] of index.allTypes()) {
+        const kind = t.kind === 'enum' ? CompletionItemKind.Enum : CompletionItemKind.Struct;
+        items.push(mkItem(name, kind, {
+            detail: t.kind,
+            documentation: t.signature ? hslCodeBlock(t.signature) : undefined,
+            insertText: name,
+            range: replaceRange,
+            sortText: '0_' + name
+        }));
+    }
+    return items;
+}
+
+/**
+ * Values for an argument of type `typeText`, sorted before every other suggestion:
+ * the members of an enum, `true`, `false` and conditions for `bool`, and the stats
+ * of the namespace a stat type names (`PlayerStat`, `TeamStat`, ...).
+ */
+function expectedValueItems(index, typeText, range) {
+    const items = [];
+    const promote = (label) => '00_' + label;
+    const typeName = (/^[A-Za-z_][A-Za-z0-9_]*/.exec(typeText.trim()) || [''])[0];
+    const members = typeName ? index.getEnumMembers(typeName) : undefined;
+    if (members) {
+        for (const [memberName, em] of Object.entries(members)) {
+            const label = `${typeName}::${memberName}`;
+            items.push(mkItem(label, CompletionItemKind.EnumMember, {
+                detail: `${typeName} member`,
+                documentation: em.doc || undefined,
+                insertText: label,
+                range,
+                sortText: promote(label)
+            }));
+        }
+    } else if (typeName === 'bool') {
+        for (const value of ['true', 'false']) {
+            items.push(mkItem(value, CompletionItemKind.Keyword, { detail: 'bool', range, sortText: promote(value) }));
+        }
+        for (const [name, info] of Object.entries(index.std.conditions)) {
+            items.push(mkItem(name, CompletionItemKind.Function, {
+                detail: 'condition',
+                documentation: info.signature ? hslCodeBlock(info.signature) : undefined,
+                snippet: `${name}($0)`,
+                range,
+                sortText: promote(name)
+            }));
+        }
+    } else if (/stat$/i.test(typeName)) {
+        const namespace = (/^(player|team|global)/i.exec(typeName) || [])[1];
+        for (const [statName, locs] of index.stats) {
+            const namespaces = locs.map(l => l.namespace || 'player');
+            if (namespace && !namespaces.includes(namespace.toLowerCase())) continue;
+            items.push(mkItem(statName, CompletionItemKind.Variable, {
+                detail: `stat (${namespace ? namespace.toLowerCase() : namespaces[0]})`,
+                range,
+                sortText: promote(statName)
+            }));
+        }
+    }
+    if (items.length > 0) items[0].preselect = true;
+    return items;
+}
+
+// Named arguments of an annotation, then values of the type the argument at the cursor expects
+function annotationArgumentItems(index, annotation, position, range) {
+    const info = index.std.annotations[annotation.name];
+    if (!info || !info.params) return [];
+    const items = info.params.map(p => mkItem(`${p.name}=`, CompletionItemKind.Field, {
+        detail: 'named argument',
+        snippet: `${p.name}=${defaultValueForType(p.type, p.defaultValue, (name) => index.getEnumMembers(name))}`,
+        sortText: '0_' + p.name
+    }));
+    const param = info.params[activeParameter(info.params, argumentsBefore(annotation, position))];
+    if (!param) return items;
+    if (isDurationType(param.type)) {
+        const durations = DURATIONS.map((value, i) => mkItem(value, CompletionItemKind.Value, { detail: 'duration', range, sortText: `00_${i}` }));
+        durations[0].preselect = true;
+        return items.concat(durations);
+    }
+    return items.concat(expectedValueItems(index, param.type, range));
+}
+
+/**
+ * Completion provider for actions, conditions, types, enum members and workspace symbols
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {{line:number, character:number}} position
+ */
+function provideCompletion(index, document, position) {
+    const std = index.std;
+    const items = [];
+    const lines = getLines(document);
+    const lineText = lines[position.line] || '';
+    const before = lineText.slice(0, position.character);
+    const currentWordRange = getWordRangeOnLine(lineText, position.line, position.character);
+    const rangeOnLine = (startCol) => ({ start: { line: position.line, character: startCol }, end: position });
+
+    // Nothing to complete in the text of a string; its `{...}` expressions complete like code
+    const inString = stringAt(parseDocument(document), position);
+    if (inString && !inString.interpolation) return items;
+    const interpolation = inString ? inString.interpolation : null;
+
+    // Inside the parentheses of an annotation only its arguments make sense
+    const inAnnotation = interpolation ? null : annotationAt(parseDocument(document), position);
+    if (inAnnotation) return annotationArgumentItems(index, inAnnotation.annotation, position, currentWordRange || undefined);
+
+    // Annotations completions - only show before declarations they may be placed on
+    if (!interpolation) {
+        const annMatch = /@([A-Za-z_]*)$/.exec(before);
+
+        // Keyword of the declaration on the current line
+        let declaration = (DECLARATION.exec(lineText.trim()) || [])[1];
+
+        // Or on the next non-empty line below annotations and comments
+        if (!declaration) {
+            for (let i = position.line + 1; i < lines.length; i++) {
+                const line = lines[i].trim();
+                if (line === '') continue; // Skip empty lines
+                if (line.startsWith('@') || line.startsWith('//')) {
+                    continue; // Skip annotation lines and comments
+                }
+                declaration = (DECLARATION.exec(line) || [])[1];
+                break; // Stop at first non-empty, non-annotation, non-comment line
+            }
+        }
+
+        let replaceRange = currentWordRange;
+        if (annMatch) {
+            replaceRange = rangeOnLine(position.character - annMatch[1].length - 1); // include '@'
+        }
+        const stdAnnotations = Object.entries(std.annotations);
+        if (declaration && stdAnnotations.length > 0) {
+            for (const [name, info] of stdAnnotations) {
+                if (info.targets && !info.targets.includes(declaration)) continue;
+                const hasParams = info.params && info.params.length > 0;
+                items.push(mkItem(`@${name}`, CompletionItemKind.Snippet, {
+                    detail: annotationLabel(name, info),
+                    documentation: info.doc || undefined,
+                    snippet: hasParams ? `@${name}($0)` : `@${name}`,
+                    range: replaceRange || undefined
+                }));
+            }
+        } else if (declaration === 'fn' || declaration === 'command') {
+            for (const name of FALLBACK_ANNOTATIONS) {
+                items.push(mkItem(`@${name}`, CompletionItemKind.Snippet, {
+                    detail: 'annotation',
+                    snippet: `@${name}($0)`,
+                    range: replaceRange || undefined
+                }));
+            }
+        }
+    }
+
+    // Context-aware: if user typed 'event ' then suggest event types with block
+    const mEvent = /(^|\s)event\s+([A-Za-z_]*)$/.exec(before);
+    if (mEvent) {
+        // Replace the partial after 'event '
+        const replaceRange = rangeOnLine(before.lastIndexOf('event') + 'event'.length + 1);
+        for (const et of EVENT_TYPES) {
+            items.push(mkItem(et, CompletionItemKind.EnumMember, {
+                detail: 'event type',
+                snippet: `${et} {\n\t$0\n}`,
+                range: replaceRange
+            }));
+        }
+        return items;
+    }
+
+    const { lhs, pendingRhs, inRhs } = getPossiblyQualifiedToken(document, position);
+
+    // If immediately after a slice specifier '[]', suggest only types (like Go: []int)
+    const sliceMatch = /\[\]\s*([A-Za-z_]*)$/.exec(before);
+    if (sliceMatch) {
+        // Compute replace range starting after the '[]' and any spaces
+        const afterBracketIdx = before.lastIndexOf(']') + 1;
+        const spacesMatch = /^\s*/.exec(before.slice(afterBracketIdx)) || [''];
+        return items.concat(typeItems(index, rangeOnLine(afterBracketIdx + spacesMatch[0].length)));
+    }
+
+    // If inside a stat declaration type position: "stat [namespace] [teamnamestring] <name>: <Type>"
+    const statTypeMatch = /(^|\s)stat\s+(?:(player|team|global)\s+)?(?:"[^"]+"\s+)?[A-Za-z_][A-Za-z0-9_]*\s*:\s*([A-Za-z_]*)$/.exec(before);
+    if (statTypeMatch) {
+        const afterColonIdx = before.lastIndexOf(':') + 1;
+        const spacesMatch = /^\s*/.exec(before.slice(afterColonIdx)) || [''];
+        return items.concat(typeItems(index, rangeOnLine(afterColonIdx + spacesMatch[0].length)));
+    }
+
+    // If we're after 'Enum::', only suggest that enum's members
+    const enumMembers = lhs ? index.getEnumMembers(lhs) : undefined;
+    if (lhs && enumMembers && (pendingRhs || inRhs)) {
+        for (const [memberName, em] of Object.entries(enumMembers)) {
+            // Insert just the member name when completing after 'Enum::'
+            items.push(mkItem(memberName, CompletionItemKind.EnumMember, {
+                detail: `${lhs} member`,
+                documentation: em.doc || undefined,
+                insertText: memberName
+            }));
+        }
+        return items;
+    }
+
+    // If we're after 'Struct::', suggest that struct's functions
+    const structFunctions = lhs ? index.getStructFunctions(lhs) : undefined;
+    if (lhs && structFunctions && (pendingRhs || inRhs)) {
+        for (const [funcName, sf] of Object.entries(structFunctions)) {
+            // Insert function name with parentheses for call
+            items.push(mkItem(funcName, CompletionItemKind.Method, {
+                detail: `${lhs} function`,
+                documentation: sf.signature ? hslCodeBlock(sf.signature) : (sf.doc || undefined),
+                snippet: `${funcName}($0)`
+            }));
+        }
+        return items;
+    }
+
+    const wordRange = currentWordRange || undefined;
+
+    // Inside function call arguments: suggest named arguments 'paramName=' without suppressing other suggestions
+    const calls = callsAt(parseDocument(document), position)
+        .filter(c => !interpolation || containsPosition(interpolation.range, c.range.start));
+    const call = calls.length > 0 ? calls[calls.length - 1] : null;
+    const callee = call ? calleeOf(call) : null;
+    const callInfo = callee ? resolveCallee(index, callee.lhs, callee.name) : undefined;
+    // Values of the type the argument at the cursor expects come first
+    let expected = [];
+    if (callInfo && callInfo.params) {
+        for (const p of callInfo.params) {
+            const def = defaultValueForType(p.type, p.defaultValue, (name) => index.getEnumMembers(name));
+            items.push(mkItem(`${p.name}=`, CompletionItemKind.Field, {
+                detail: 'named argument',
+                snippet: `${p.name}=${def}`,
+                sortText: '0_' + p.name // promote above generic suggestions
+            }));
+        }
+        // do not return; allow normal suggestions to appear too
+        const param = callInfo.params[activeParameter(callInfo.params, argumentsBefore(call, position))];
+        if (param) expected = expectedValueItems(index, param.type, wordRange);
+        items.push(...expected);
+    }
+
+    // Actions and Conditions as function calls
+    for (const [name, info] of Object.entries(std.actions)) {
+        // Insert only parentheses, let user request suggestions for args
+        items.push(mkItem(name, CompletionItemKind.Function, {
+            detail: 'action',
+            documentation: info.signature ? hslCodeBlock(info.signature) : undefined,
+            snippet: `${name}($0)`,
+            range: wordRange
+        }));
+    }
+    for (const [name, info] of Object.entries(std.conditions)) {
+        items.push(mkItem(name, CompletionItemKind.Function, {
+            detail: 'condition',
+            documentation: info.signature ? hslCodeBlock(info.signature) : undefined,
+            snippet: `${name}($0)`,
+            range: wordRange
+        }));
+    }
+
+    // Workspace symbols: constants, functions, macros, stats
+    for (const [constName, loc] of index.constants) {
+        items.push(mkItem(constName, CompletionItemKind.Constant, {
+            detail: 'constant',
+            documentation: loc.signature ? hslCodeBlock(loc.signature) : undefined,
+            range: wordRange
+        }));
+    }
+    // Std constants
+    for (const [name, info] of std.constants) {
+        items.push(mkItem(name, CompletionItemKind.Constant, {
+            detail: 'std constant',
+            documentation: info.signature ? hslCodeBlock(info.signature) : undefined,
+            range: wordRange
+        }));
+    }
+    for (const fnName of index.functions.keys()) {
+        items.push(mkItem(fnName, CompletionItemKind.Function, { detail: 'function', snippet: `${fnName}($0)`, range: wordRange }));
+    }
+    for (const [macroName, loc] of index.macros) {
+        items.push(mkItem(macroName, CompletionItemKind.Snippet, {
+            detail: 'macro',
+            snippet: `${macroName}!($0)`,
+            documentation: loc.signature ? hslCodeBlock(loc.signature) : undefined,
+            range: wordRange
+        }));
+    }
+    // Std macros
+    for (const [macroName, info] of std.macros) {
+        items.push(mkItem(macroName, CompletionItemKind.Snippet, {
+            detail: 'std macro',
+            snippet: `${macroName}!($0)`,
+            documentation: info.signature ? hslCodeBlock(info.signature) : undefined,
+            range: wordRange
+        }));
+    }
+    for (const [statName, locs] of index.stats) {
+        const first = Array.isArray(locs) && locs.length > 0 ? locs[0] : undefined;
+        items.push(mkItem(statName, CompletionItemKind.Variable, {
+            detail: first && first.namespace ? `stat (${first.namespace})` : undefined
+        }));
+    }
+
+    // Types (enums, structs)
+    const triggerSuggest = { command: 'editor.action.triggerSuggest', title: 'Trigger Suggest' };
+    for (const [name, t] of index.allTypes()) {
+        const kind = t.kind === 'enum' ? CompletionItemKind.Enum : CompletionItemKind.Struct;
+        // For enums and structs with functions, help user complete 'Type::' and
+        // immediately trigger suggestions for its members
+        const qualifies = t.kind === 'enum' || (t.kind === 'struct' && index.getStructFunctions(name));
+        items.push(mkItem(name, kind, {
+            detail: t.kind,
+            documentation: t.signature ? hslCodeBlock(t.signature) : undefined,
+            snippet: qualifies ? `${name}::$0` : undefined,
+            command: qualifies ? triggerSuggest : undefined
+        }));
+    }
+
+    // Enum members as qualified suggestions (Enum::Member) in general context
+    for (const [enumName, members] of index.allEnumMembers()) {
+        for (const memberName of Object.keys(members)) {
+            const label = `${enumName}::${memberName}`;
+            items.push(mkItem(label, CompletionItemKind.EnumMember, { detail: 'enum member', insertText: label }));
+        }
+    }
+
+    // Struct functions as qualified suggestions (Struct::function) in general context
+    for (const [structName, functions] of index.allStructFunctions()) {
+        for (const [funcName, sf] of Object.entries(functions)) {
+            items.push(mkItem(`${structName}::${funcName}`, CompletionItemKind.Method, {
+                detail: 'struct function',
+                documentation: sf.signature ? hslCodeBlock(sf.signature) : undefined,
+                snippet: `${structName}::${funcName}($0)`
+            }));
+        }
+    }
+
+    // Language keyword snippets (only in general context, not in specific contexts like enum members)
+    items.push(mkSnippet('fn', 'fn ${1:name}(${2}) {\n\t$0\n}', 'function declaration'));
+    items.push(mkSnippet('macro', 'macro ${1:name}(${2}) {\n\t$0\n}', 'macro declaration'));
+    items.push(mkSnippet('enum', 'enum ${1:Name} {\n\t$0\n}', 'sum enum declaration'));
+    items.push(mkSnippet('enum', 'enum ${1:Name}: ${2:type} {\n\t$0\n}', 'value enum declaration'));
+    items.push(mkSnippet('for', 'for (${1:init}; ${2:cond}; ${3:step}) {\n\t$0\n}', 'for loop declaration'));
+    items.push(mkSnippet('fori', 'for (stat player i = 0; i < ${1:count}; i++) {\n\t$0\n}', 'for i in range declaration'));
+    items.push(mkSnippet('while', 'while (${2:condition}) {\n\t$0\n}', 'white loop declaration'));
+    items.push(mkSnippet('event', 'event ' + '${1|' + EVENT_TYPES.join(',') + '|}() {\n\t$0\n}', 'event block'));
+    items.push(mkSnippet('if', 'if (${1:condition}) {\n\t$0\n}', 'if statement'));
+    items.push(mkSnippet('command', 'command ${1:name}() {\n\t$0\n}', 'command declaration'));
+    items.push(mkSnippet('else', 'else {\n\t$0\n}', 'else block'));
+    items.push(mkSnippet('main', 'macro main() {\n\t$0\n}', 'main macro'));
+    items.push(mkSnippet('random', 'random {\n\t$0\n}', 'random block'));
+    items.push(mkSnippet('return', 'return ${1:value}', 'return statement'));
+    // stat snippet: stat [namespace] varName[: type] [= value]
+    // Main stat snippet with namespace choice (player/global) - no team name
+    items.push(mkSnippet('stat (implicit player)', 'stat ${1:name}: ${2:type}', 'declare player stat'));
+    items.push(mkSnippet('stat global', 'stat global ${2:name}: ${3:type}', 'declare global stat'));
+    // Stat with team namespace - includes team name prompt
+    items.push(mkSnippet('stat team', 'stat team "${1:MyTeam}" ${2:name}: ${3:type}', 'declare team stat'));
+    items.push(mkSnippet('const', 'const ${1:NAME} = ${2:value}', 'declare constant'));
+
+    // Builtin types and values
+    for (const t of [...BUILTIN_TYPES, '[]']) {
+        const kind = t === '[]' ? CompletionItemKind.Snippet : CompletionItemKind.Keyword;
+        items.push(mkItem(t, kind, { detail: 'builtin type', range: wordRange }));
+    }
+    items.push(mkItem('nil', CompletionItemKind.Keyword, { detail: 'builtin value', range: wordRange }));
+
+    // The general suggestions repeat the expected values
+    const expectedLabels = new Set(expected.map(item => item.label));
+    return expected.length > 0 ? items.filter(item => expected.includes(item) || !expectedLabels.has(item.label)) : items;
+}
+
+module.exports = { provideCompletion, TRIGGER_CHARACTERS, mkItem, hslCodeBlock };
@@ -0,0 +1,62 @@
+const { getWordAtPosition, getPossiblyQualifiedToken, chooseStatForPosition, fileUri, symbolLocation } = require('../text');
+const { parseDocument, stringAt } = require('../parser');
+
+// Location of an index entry: workspace entries carry a URI, std entries a file path
+function entryLocation(entry) {
+    const uri = entry.uri || fileUri(entry.filePath);
+    return symbolLocation(uri, entry.line, entry.character);
+}
+
+/**
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {{line:number, character:number}} position
+ */
+function provideDefinition(index, document, position) {
+    // Only the `{...}` expressions of a string name symbols
+    const inString = stringAt(parseDocument(document), position);
+    if (inString && !inString.interpolation) return null;
+
+    const std = index.std;
+    const { text: token } = getWordAtPosition(document, position);
+    const { lhs, rhs, inRhs, inLhs } = getPossiblyQualifiedToken(document, position);
+
+    // functions
+    const infoA = std.actions[token];
+    const infoC = std.conditions[token];
+    if (infoA || infoC) {
+        const info = infoA || infoC;
+        return symbolLocation(fileUri(infoA ? std.actionsFilePath : std.conditionsFilePath), info.line, info.character);
+    }
+
+    // enum member (only when hovering RHS)
+    const members = lhs ? index.getEnumMembers(lhs) : undefined;
+    if (lhs && rhs && inRhs && members && members[rhs]) {
+        return entryLocation(members[rhs]);
+    }
+
+    // struct function (only when hovering RHS)
+    const functions = lhs ? index.getStructFunctions(lhs) : undefined;
+    if (lhs && rhs && inRhs && functions && functions[rhs]) {
+        return entryLocation(functions[rhs]);
+    }
+
+    // type (bare token or LHS of qualified)
+    const typeInfo = (inLhs && lhs && index.getType(lhs)) || index.getType(token);
+    if (typeInfo) return entryLocation(typeInfo);
+
+    // workspace user symbols: constants, functions, macros, stats
+    if (index.constants.has(token)) return entryLocation(index.constants.get(token));
+    // std constants
+    if (std.constants.has(token)) return entryLocation(std.constants.get(token));
+    if (index.functions.has(token)) return entryLocation(index.functions.get(token));
+    if (index.macros.has(token)) return entryLocation(index.macros.get(token));
+    if (std.macros.has(token)) return entryLocation(std.macros.get(token));
+    if (index.stats.has(token)) {
+        const chosen = chooseStatForPosition(document, position.line, index.stats.get(token) || []);
+        if (chosen) return entryLocation(chosen);
+    }
+    return null;
+}
+
+module.exports = { provideDefinition, entryLocation };
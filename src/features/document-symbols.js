@@ -0,0 +1,90 @@
+const { SymbolKind } = require('vscode-languageserver');
+const { parseDocument, walk, textOf } = require('../parser');
+
+// Blocks whose body holds statements, shown with their stats nested below them
+const BODY_BLOCKS = {
+    event: { kind: SymbolKind.Event, detail: 'event' },
+    command: { kind: SymbolKind.Function, detail: 'command' },
+    region: { kind: SymbolKind.Namespace, detail: 'region' },
+    menu: { kind: SymbolKind.Object, detail: 'menu' },
+    scoreboard: { kind: SymbolKind.Object, detail: 'scoreboard' }
+};
+
+// Nodes shown in the outline
+const DECLARATIONS = new Set(['Const', 'Stat', 'Function', 'Enum', 'Struct', 'Event', 'Section']);
+
+/**
+ * Outline of an HSL file: constants, stats, functions, macros, enums with their
+ * members, structs with their fields and functions, and event, command, region,
+ * menu and scoreboard blocks. Stats are nested under the block that declares them.
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @returns {import('vscode-languageserver').DocumentSymbol[]}
+ */
+function provideDocumentSymbols(document) {
+    const ast = parseDocument(document);
+    // Source text of a range, on one line
+    const text = (range) => textOf(ast, range).replace(/\s+/g, ' ').trim();
+    return declarationsIn(ast, text);
+}
+
+// Symbols of the declarations below `node`, each with its own nested declarations
+function declarationsIn(node, text) {
+    const symbols = [];
+    if (!node) return symbols;
+    walk(node, (child) => {
+        if (child === node || !DECLARATIONS.has(child.type)) return true;
+        // Declarations still missing their name while being typed
+        if (child.name || child.type === 'Section') symbols.push(symbolOf(child, text));
+        return false;
+    });
+    return symbols;
+}
+
+function symbolOf(node, text) {
+    switch (node.type) {
+        case 'Const':
+            return create(node, SymbolKind.Constant, node.value ? text(node.value.range) : '');
+        case 'Stat': {
+            const namespace = node.team !== null ? `team "${node.team}"` : node.namespace || 'player';
+            return create(node, SymbolKind.Variable, [namespace, node.valueType].filter(Boolean).join(' '));
+        }
+        case 'Function': {
+            const signature = text({ start: node.nameRange.end, end: node.signatureRange.end });
+            const block = BODY_BLOCKS[node.kind];
+            const fn = block
+                ? create(node, block.kind, `${block.detail} ${signature}`.trim())
+                : create(node, SymbolKind.Function, node.kind === 'macro' ? `macro ${signature}` : signature);
+            fn.children = declarationsIn(node.body, text);
+            return fn;
+        }
+        case 'Enum': {
+            const enumSymbol = create(node, SymbolKind.Enum, node.baseType || '');
+            enumSymbol.children = node.members.map(member => create(member, SymbolKind.EnumMember,
+                member.value ? text(member.value.range) : text({ start: member.nameRange.end, end: member.range.end })));
+            return enumSymbol;
+        }
+        case 'Struct': {
+            const struct = create(node, SymbolKind.Struct, node.typeParams || '');
+            struct.children = node.fields.map(field => create(field, SymbolKind.Field, field.valueType || ''));
+            for (const fn of node.functions) struct.children.push({ ...symbolOf(fn, text), kind: SymbolKind.Method });
+            return struct;
+        }
+        default: {
+            // event, region, menu and scoreboard blocks
+            const keyword = node.type === 'Event' ? 'event' : node.keyword;
+            const block = BODY_BLOCKS[keyword];
+            const args = node.type === 'Event' ? node.params : node.args;
+            const detail = args.length > 0 ? `${block.detail} (${args.map(a => text(a.range)).join(', ')})` : block.detail;
+            // Blocks without a name (like scoreboard) are shown by their keyword
+            const section = create(node, block.kind, detail, node.name || keyword);
+            section.children = declarationsIn(node.body, text);
+            return section;
+        }
+    }
+}
+
+function create(node, kind, detail, name = node.name) {
+    return { name, detail, kind, range: node.range, selectionRange: node.nameRange, children: [] };
+}
+
+module.exports = { provideDocumentSymbols };
@@ -0,0 +1,81 @@
+const { FoldingRangeKind } = require('vscode-languageserver');
+const { parseDocument, walk, containsPosition, comparePositions } = require('../parser');
+
+/**
+ * Folding ranges of an HSL file: the `{ ... }` of declarations and statements,
+ * enum and struct bodies, runs of `//` comment lines, `/* ... *\/` comments and
+ * runs of annotations. The line with the closing '}' stays visible.
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @returns {import('vscode-languageserver').FoldingRange[]}
+ */
+function provideFoldingRanges(document) {
+    const ast = parseDocument(document);
+    const ranges = [];
+    const add = (startLine, endLine, kind) => {
+        if (endLine > startLine) ranges.push(kind ? { startLine, endLine, kind } : { startLine, endLine });
+    };
+
+    walk(ast, (node) => {
+        if (node.type === 'Block') {
+            add(node.range.start.line, node.range.end.line - 1);
+        } else if (node.type === 'Enum' || node.type === 'Struct') {
+            add(node.nameRange.start.line, node.range.end.line - 1);
+        }
+        if (node.annotations && node.annotations.length > 0) {
+            add(node.annotations[0].range.start.line, node.annotations[node.annotations.length - 1].range.end.line);
+        }
+    });
+
+    let lineComments = null; // { startLine, endLine } of the run of `//` lines being read
+    let blockStart = -1;
+    for (const comment of ast.comments) {
+        if (comment.block) {
+            if (blockStart === -1 && comment.value.startsWith('/*')) blockStart = comment.line;
+            if (comment.value.endsWith('*/') && blockStart !== -1) {
+                add(blockStart, comment.line, FoldingRangeKind.Comment);
+                blockStart = -1;
+            }
+            continue;
+        }
+        // Only comments on lines of their own
+        if (ast.lines[comment.line].trimStart() !== comment.value) continue;
+        if (lineComments && lineComments.endLine === comment.line - 1) {
+            lineComments.endLine = comment.line;
+        } else {
+            if (lineComments) add(lineComments.startLine, lineComments.endLine, FoldingRangeKind.Comment);
+            lineComments = { startLine: comment.line, endLine: comment.line };
+        }
+    }
+    if (lineComments) add(lineComments.startLine, lineComments.endLine, FoldingRangeKind.Comment);
+
+    return ranges;
+}
+
+/**
+ * Ranges for expand selection at each position, from the token out through the
+ * argument, call, statement and block to the declaration and the whole file.
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {{line:number, character:number}[]} positions
+ * @returns {import('vscode-languageserver').SelectionRange[]}
+ */
+function provideSelectionRanges(document, positions) {
+    const ast = parseDocument(document);
+    return positions.map((position) => {
+        const containing = [];
+        walk(ast, (node) => {
+            if (node !== ast && containsPosition(node.range, position)) containing.push(node.range);
+        });
+        // Outermost first; nodes sharing a range count once
+        containing.sort((a, b) => comparePositions(a.start, b.start) || comparePositions(b.end, a.end));
+        let selection = { range: ast.range };
+        for (const range of containing) {
+            const parent = selection.range;
+            if (!containsPosition(parent, range.start) || !containsPosition(parent, range.end)) continue;
+            if (comparePositions(parent.start, range.start) === 0 && comparePositions(parent.end, range.end) === 0) continue;
+            selection = { range, parent: selection };
+        }
+        return selection;
+    });
+}
+
+module.exports = { provideFoldingRanges, provideSelectionRanges };
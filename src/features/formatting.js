@@ -0,0 +1,347 @@
+const { TextEdit } = require('vscode-languageserver');
+const { lexLine } = require('../parser/lexer');
+
+/**
+ * Formatting works on the tokens of each line rather than on the AST, so code
+ * that does not parse is still formatted and comments stay where they are.
+ * Lines are re-indented by the brackets open before them, spacing between
+ * tokens is normalized, a '{' or 'else' starting a line is moved up to the
+ * line it belongs to, annotations get a line of their own and argument lists
+ * that make a line too long are broken over one line per argument. Lines are
+ * never joined otherwise, so formatting twice gives the same result.
+ */
+
+// Keywords whose block may start on the next line: the '{' is moved up to them
+const BLOCK_KEYWORDS = new Set(['fn', 'macro', 'command', 'enum', 'struct', 'event', 'region', 'menu', 'scoreboard', 'if', 'else', 'while', 'for', 'random']);
+const DECLARATION_KEYWORDS = new Set(['fn', 'macro', 'command', 'const', 'stat', 'enum', 'struct', 'event', 'region', 'menu', 'scoreboard']);
+// Keywords set apart from a following '(' or '['
+const KEYWORDS = new Set(['if', 'else', 'while', 'for', 'in', 'return', 'random']);
+const BINARY_OPERATORS = new Set(['==', '!=', '<=', '>=', '&&', '||', '+=', '-=', '*=', '/=', '%=', '->', '+', '-', '*', '/', '%', '&', '|', '^', '?']);
+const PREFIX_OPERATORS = new Set(['-', '+', '!', '~', '++', '--']);
+const OPENING = new Set(['(', '[', '{']);
+const CLOSING = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Edits formatting a whole document.
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {import('vscode-languageserver').FormattingOptions} options
+ * @param {{indentSize:number|null, colonSpacing:string, spaceAroundEquals:boolean, maxLineLength:number}} settings
+ */
+function formatDocument(document, options, settings) {
+    return format(document, 0, document.lineCount - 1, options, settings);
+}
+
+/**
+ * Edits formatting the lines of `range`; lines around it are only used to
+ * know how deep the range is indented.
+ */
+function formatRange(document, range, options, settings) {
+    // A selection ending at the start of a line does not include that line
+    const last = range.end.character === 0 && range.end.line > range.start.line ? range.end.line - 1 : range.end.line;
+    return format(document, range.start.line, last, options, settings);
+}
+
+/**
+ * Edits formatting the block closed by the '}' just typed before `position`.
+ */
+function formatOnType(document, position, ch, options, settings) {
+    if (ch !== '}') return [];
+    const lines = readLines(document.getText());
+    const stack = [];
+    for (let i = 0; i <= position.line && i < lines.length; i++) {
+        for (const token of lines[i].items) {
+            if (token.type !== 'punct') continue;
+            if (OPENING.has(token.value)) {
+                stack.push(i);
+            } else if (CLOSING[token.value]) {
+                const open = stack.pop();
+                if (i === position.line && token.end === position.character) {
+                    return format(document, open === undefined ? i : open, i, options, settings);
+                }
+            }
+        }
+    }
+    return [];
+}
+
+function format(document, first, last, options, settings) {
+    const text = document.getText();
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = readLines(text);
+    const groups = layout(lines, first, last);
+    indent(groups, options, settings);
+
+    const edits = [];
+    for (const group of groups) {
+        const before = lines.slice(group.from, group.to + 1).map(l => l.text).join(eol);
+        const after = group.out.join(eol);
+        if (before !== after) {
+            edits.push(TextEdit.replace({
+                start: { line: group.from, character: 0 },
+                end: { line: group.to, character: lines[group.to].text.length }
+            }, after));
+        }
+    }
+    return edits;
+}
+
+// Tokens and comments of every line, in column order
+function readLines(text) {
+    const lines = [];
+    let inComment = false;
+    for (const raw of text.split('\n')) {
+        const lineText = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+        const lexed = lexLine(lineText, inComment);
+        const items = lexed.tokens.concat(lexed.comments).sort((a, b) => a.start - b.start);
+        for (const item of items) item.line = lines.length;
+        // Lines inside a block comment are kept as they are, and so is the end of
+        // a block comment before code
+        const lead = inComment && lexed.tokens.length > 0 ? items.shift() : null;
+        lines.push({ text: lineText, items, inComment: inComment && lexed.tokens.length === 0, lead });
+        inComment = lexed.inComment;
+    }
+    return lines;
+}
+
+/**
+ * Output lines of the document, in groups of the source lines `from`..`to`
+ * they replace. Each output line is a list of tokens and comments, or `text`
+ * kept as it is. A line may start with a `prefix` kept as it is, which is not
+ * indented.
+ */
+function layout(lines, first, last) {
+    const groups = [];
+    let blankFrom = -1;
+    const flushBlanks = (end, atEnd) => {
+        if (blankFrom === -1) return;
+        const previous = groups[groups.length - 1];
+        if (atEnd && previous) {
+            // No blank lines before the end of the file
+            previous.to = end - 1;
+        } else {
+            // Runs of blank lines become one
+            groups.push({ from: blankFrom, to: end - 1, lines: [{ items: [] }] });
+        }
+        blankFrom = -1;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const finalNewline = i === lines.length - 1 && line.text === '';
+        if (i < first || i > last || finalNewline) {
+            flushBlanks(i, finalNewline);
+            groups.push({ from: i, to: i, lines: [{ items: line.items, text: line.text }] });
+            continue;
+        }
+        if (line.inComment) {
+            flushBlanks(i, false);
+            groups.push({ from: i, to: i, lines: [{ items: [], text: line.text.trimEnd() }] });
+            continue;
+        }
+        if (line.items.length === 0) {
+            if (blankFrom === -1) blankFrom = i;
+            continue;
+        }
+        const joinable = blankFrom === -1;
+        flushBlanks(i, false);
+
+        const previous = groups[groups.length - 1];
+        const previousLine = previous && previous.to >= first && previous.lines[previous.lines.length - 1];
+        if (joinable && !line.lead && previousLine && previousLine.text === undefined && belongsToPreviousLine(previousLine.items, line.items)) {
+            previous.to = i;
+            previous.lines[previous.lines.length - 1] = { items: previousLine.items.concat(line.items), prefix: previousLine.prefix };
+        } else {
+            const prefix = line.lead ? line.lead.value : undefined;
+            groups.push({ from: i, to: i, lines: splitAnnotations(line.items).map((items, k) => ({ items, prefix: k === 0 ? prefix : undefined })) });
+        }
+    }
+    flushBlanks(lines.length, true);
+    return groups;
+}
+
+// Whether a line starting with '{' or 'else' continues the line above
+function belongsToPreviousLine(previous, items) {
+    const last = previous[previous.length - 1];
+    const first = items[0];
+    if (!last || last.type !== 'punct' && last.type !== 'name' && last.type !== 'string' && last.type !== 'number') return false;
+    if (first.type === 'name' && first.value === 'else') return last.value === '}';
+    if (first.type !== 'punct' || first.value !== '{' || OPENING.has(last.value) || last.value === ',' || last.value === '}') return false;
+    const head = previous[0].value === '}' && previous[1] ? previous[1] : previous[0];
+    return head.type === 'name' && BLOCK_KEYWORDS.has(head.value);
+}
+
+// `@inline fn foo()` is split into a line per annotation and the declaration
+function splitAnnotations(items) {
+    const result = [];
+    let rest = items;
+    while (rest.length > 1 && rest[0].value === '@' && rest[0].type === 'punct' && rest[1].type === 'name') {
+        let end = 2;
+        if (rest[end] && rest[end].value === '(') {
+            let depth = 0;
+            for (; end < rest.length; end++) {
+                if (rest[end].value === '(') depth++;
+                else if (rest[end].value === ')' && --depth === 0) break;
+            }
+            if (depth !== 0) break;
+            end++;
+        }
+        const next = rest[end];
+        if (!next || next.type === 'comment' || !(next.value === '@' || DECLARATION_KEYWORDS.has(next.value))) break;
+        result.push(rest.slice(0, end));
+        rest = rest.slice(end);
+    }
+    result.push(rest);
+    return result;
+}
+
+/**
+ * Renders the output lines of every group into `group.out`, indented by the
+ * brackets open before them. Brackets opened on the same line add one level.
+ */
+function indent(groups, options, settings) {
+    const size = settings.indentSize || options.tabSize || 4;
+    const unit = options.insertSpaces === false ? '\t' : ' '.repeat(size);
+    const stack = []; // open brackets: { value, line } with the output line that opened them
+    let lineNumber = 0;
+    for (const group of groups) {
+        group.out = [];
+        const queue = group.lines.slice();
+        while (queue.length > 0) {
+            const line = queue.shift();
+            const tokens = line.items.filter(item => item.type === 'punct');
+            let leading = 0;
+            while (leading < line.items.length && CLOSING[line.items[leading].value] && line.items[leading].type === 'punct') leading++;
+            const level = new Set(stack.slice(0, Math.max(0, stack.length - leading)).map(b => b.line)).size;
+
+            if (line.text !== undefined) {
+                group.out.push(line.text);
+            } else {
+                const start = line.prefix !== undefined ? line.prefix + ' ' : unit.repeat(level);
+                const text = line.items.length > 0 ? start + renderLine(line.items, settings) : '';
+                const pieces = settings.maxLineLength > 0 && text.replace(/\t/g, ' '.repeat(size)).length > settings.maxLineLength
+                    ? wrapArguments(line.items)
+                    : null;
+                if (pieces) {
+                    queue.unshift(...pieces.map((items, k) => ({ items, prefix: k === 0 ? line.prefix : undefined })));
+                    continue;
+                }
+                group.out.push(text);
+            }
+
+            for (const token of tokens) {
+                if (OPENING.has(token.value)) {
+                    stack.push({ value: token.value, line: lineNumber });
+                } else if (CLOSING[token.value]) {
+                    const open = stack.map(b => b.value).lastIndexOf(CLOSING[token.value]);
+                    if (open !== -1) stack.length = open;
+                }
+            }
+            lineNumber++;
+        }
+    }
+}
+
+// Tokens and comments of one line joined with normalized spacing
+function renderLine(items, settings) {
+    // ':' of `a ? b : c` is spaced like an operator
+    const ternaryColons = new Set();
+    let questions = 0;
+    for (const item of items) {
+        if (item.type !== 'punct') continue;
+        if (item.value === '?') questions++;
+        else if (item.value === ':' && questions > 0) {
+            questions--;
+            ternaryColons.add(item);
+        }
+    }
+
+    let text = '';
+    let previousToken = null;
+    let prefix = false; // whether the previous token is a prefix operator
+    for (let k = 0; k < items.length; k++) {
+        const item = items[k];
+        if (k > 0) text += spaceBetween(items[k - 1], item, items[k + 1], prefix, ternaryColons, settings);
+        text += item.value;
+        if (item.type === 'comment') continue;
+        prefix = item.type === 'punct' && PREFIX_OPERATORS.has(item.value) && !(item.value === '!' && isMacroBang(previousToken, items[k + 1]))
+            && (!previousToken || isOperator(previousToken) || (previousToken.type === 'name' && KEYWORDS.has(previousToken.value)));
+        previousToken = item;
+    }
+    return text.trimEnd();
+}
+
+function spaceBetween(previous, item, next, prefix, ternaryColons, settings) {
+    // Trailing comments keep their distance from the code
+    if (item.type === 'comment') return ' '.repeat(item.line === previous.line ? Math.max(1, item.start - previous.end) : 1);
+    if (previous.type === 'comment') return ' ';
+    const p = previous.type === 'punct' ? previous.value : null;
+    const c = item.type === 'punct' ? item.value : null;
+    if (prefix) return '';
+    if (c === ',' || c === ';' || c === ')' || c === ']' || c === '.' || c === '::') return '';
+    if (p === '(' || p === '[' || p === '.' || p === '::' || p === '@') return '';
+    if (p === ',' || p === ';') return ' ';
+    if (p === '{') return c === '}' ? '' : ' ';
+    if (c === '{' || c === '}') return ' ';
+    if (p === '}' && item.type === 'name' && item.value === 'else') return ' ';
+    if (c === '(' || c === '[') {
+        if (previous.type === 'name') return KEYWORDS.has(previous.value) ? ' ' : '';
+        if (CLOSING[p] || p === '!' || previous.type === 'string') return '';
+    }
+    if (c === '!' && isMacroBang(previous, next)) return '';
+    if ((c === '++' || c === '--') && !isOperator(previous)) return '';
+    if (c === ':') return ternaryColons.has(item) || settings.colonSpacing === 'both' ? ' ' : '';
+    if (p === ':') return ternaryColons.has(previous) || settings.colonSpacing !== 'none' ? ' ' : '';
+    if (c === '=' || p === '=') return settings.spaceAroundEquals ? ' ' : '';
+    // Comparisons or type arguments (`List<int>`): kept as written
+    if (c === '<' || c === '>' || p === '<' || p === '>') return sourceGap(previous, item);
+    if (BINARY_OPERATORS.has(c) || BINARY_OPERATORS.has(p)) return ' ';
+    if (p || c) return sourceGap(previous, item);
+    return ' ';
+}
+
+function sourceGap(previous, item) {
+    return previous.line === item.line && previous.end === item.start ? '' : ' ';
+}
+
+// `name!(...)`: the '!' of a macro call
+function isMacroBang(previous, next) {
+    return !!previous && previous.type === 'name' && !KEYWORDS.has(previous.value) && !!next && next.value === '(';
+}
+
+// Whether a token leaves an operand to be completed, so a following '-' is a sign
+function isOperator(token) {
+    return token.type === 'punct' && !CLOSING[token.value];
+}
+
+/**
+ * A line broken over one line per argument at its first argument list with
+ * more than one argument, or null when there is none.
+ */
+function wrapArguments(items) {
+    for (let k = 0; k < items.length; k++) {
+        if (items[k].type !== 'punct' || items[k].value !== '(') continue;
+        const commas = [];
+        let depth = 0;
+        let close = -1;
+        for (let j = k + 1; j < items.length && close === -1; j++) {
+            const item = items[j];
+            if (item.type !== 'punct') continue;
+            if (OPENING.has(item.value)) depth++;
+            else if (CLOSING[item.value] && depth-- === 0) close = j;
+            else if (item.value === ',' && depth === 0) commas.push(j);
+        }
+        if (close === -1 || commas.length === 0) continue;
+        const pieces = [items.slice(0, k + 1)];
+        let start = k + 1;
+        for (const comma of commas) {
+            pieces.push(items.slice(start, comma + 1));
+            start = comma + 1;
+        }
+        pieces.push(items.slice(start, close), items.slice(close));
+        if (pieces.some(piece => piece.length === 0 || piece[0].value === ',')) return null;
+        return pieces;
+    }
+    return null;
+}
+
+module.exports = { formatDocument, formatRange, formatOnType };
@@ -0,0 +1,138 @@
+const path = require('path');
+const { getWordAtPosition, getPossiblyQualifiedToken, getLineText, chooseStatForPosition, uriToPath } = require('../text');
+const { parse, parseDocument, stringAt } = require('../parser');
+const { inferType } = require('./inlay-hints');
+const { stringPreview } = require('./colors');
+const { annotationLabel } = require('./annotations');
+
+// Hover card with the doc comment followed by the signature in an hsl code block
+function symbolHover(info) {
+    const parts = [];
+    if (info.doc) parts.push(info.doc);
+    if (info.signature) {
+        parts.push('```hsl');
+        parts.push(info.signature);
+        parts.push('```');
+    }
+    return { contents: { kind: 'markdown', value: parts.join('\n') } };
+}
+
+// Annotation signature and docs, and the declarations it may be placed on
+function annotationHover(name, info) {
+    const hover = symbolHover({ doc: info.doc, signature: annotationLabel(name, info) });
+    if (info.targets) hover.contents.value += `\n\nAllowed on ${info.targets.map(t => `\`${t}\``).join(', ')}`;
+    return hover;
+}
+
+function fileName(entry) {
+    return path.basename(entry.filePath || uriToPath(entry.uri));
+}
+
+// `fn \`name\`` for a stat declared inside a function or macro, `file scope` otherwise
+function scopeOf(entry) {
+    if (!entry.container) return 'file scope';
+    const [kind, name] = entry.container.split(':');
+    return `${kind} \`${name}\``;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Declared type, or the type of the initial value when it can be told
+function statType(index, entry) {
+    if (entry.valueType) return `\`${entry.valueType}\``;
+    const statement = entry.value ? parse(entry.value).body[0] : null;
+    const type = statement && statement.type === 'ExpressionStatement' ? inferType(index, statement.expression) : null;
+    return type ? `\`${type}\` (inferred)` : 'unknown';
+}
+
+/**
+ * Hover card of a stat: its doc comment and declaration, namespace, team, type,
+ * initial value, scope and how often it is written and read. When the name is
+ * declared more than once, the other declarations are listed.
+ */
+function statHover(index, name, entry) {
+    const parts = [];
+    if (entry.doc) parts.push(entry.doc, '');
+    parts.push('```hsl', entry.signature, '```', '');
+    const namespace = entry.namespace || 'player';
+    parts.push(`- **Namespace:** ${namespace}${entry.namespace ? '' : ' (default)'}`);
+    if (entry.team) parts.push(`- **Team:** ${entry.team}`);
+    parts.push(`- **Type:** ${statType(index, entry)}`);
+    if (entry.value) parts.push(`- **Initial value:** \`${entry.value}\``);
+    parts.push(`- **Declared in:** ${scopeOf(entry)} of ${fileName(entry)}`);
+    const { writes, reads } = index.statUsages(name, entry);
+    parts.push(`- **Usages:** ${plural(writes, 'write')}, ${plural(reads, 'read')}`);
+    const others = (index.stats.get(name) || []).filter(d => d !== entry);
+    if (others.length > 0) {
+        parts.push('', 'Also declared as:');
+        for (const other of others) {
+            parts.push(`- ${other.namespace || 'player'} stat in ${scopeOf(other)} (${fileName(other)}:${other.line + 1})`);
+        }
+    }
+    return { contents: { kind: 'markdown', value: parts.join('\n') } };
+}
+
+// Whether the word at `range` is called, as in `name(` or `name!(`
+function isCallee(document, range) {
+    return /^\s*!?\s*\(/.test(getLineText(document, range.end.line).slice(range.end.character));
+}
+
+/**
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {{line:number, character:number}} position
+ */
+function provideHover(index, document, position) {
+    // The text of a string names no symbols, but strings with colour codes are
+    // previewed as they look in-game. `{...}` expressions are code.
+    const inString = stringAt(parseDocument(document), position);
+    if (inString && !inString.interpolation) return stringPreview(inString.string);
+
+    const std = index.std;
+    const { text: token, range } = getWordAtPosition(document, position);
+    const { lhs, rhs, inRhs, inLhs } = getPossiblyQualifiedToken(document, position);
+
+    if (token && std.annotations[token] && getLineText(document, position.line)[range.start.character - 1] === '@') {
+        return annotationHover(token, std.annotations[token]);
+    }
+
+    // Stats first, unless the name is called or qualified
+    if (token && index.stats.has(token) && !lhs && !isCallee(document, range)) {
+        const chosen = chooseStatForPosition(document, position.line, index.stats.get(token));
+        if (chosen) return statHover(index, token, chosen);
+    }
+
+    // Prefer functions (actions/conditions)
+    const info = std.actions[token] || std.conditions[token];
+    if (info) return symbolHover(info);
+
+    // Qualified token handling: prefer member when hovering RHS, type when hovering LHS
+    if (lhs && rhs) {
+        const members = index.getEnumMembers(lhs);
+        if (inRhs && members && members[rhs]) {
+            const em = members[rhs];
+            return symbolHover({ doc: em.doc, signature: `${lhs}::${rhs}` });
+        }
+        const functions = index.getStructFunctions(lhs);
+        if (inRhs && functions && functions[rhs]) return symbolHover(functions[rhs]);
+        if (inLhs && index.getType(lhs)) return symbolHover(index.getType(lhs));
+    }
+
+    // Type hover for enums/structs by bare token
+    if (index.getType(token)) return symbolHover(index.getType(token));
+
+    // Std constants hover
+    if (std.constants.has(token)) return symbolHover(std.constants.get(token));
+
+    // Workspace user symbols hover
+    if (index.constants.has(token)) return symbolHover(index.constants.get(token));
+    if (index.functions.has(token)) return symbolHover(index.functions.get(token));
+    if (index.macros.has(token)) return symbolHover(index.macros.get(token));
+    // std macros hover
+    if (std.macros.has(token)) return symbolHover(std.macros.get(token));
+    return null;
+}
+
+module.exports = { provideHover, symbolHover };
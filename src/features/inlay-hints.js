@@ -0,0 +1,110 @@
+const { InlayHintKind } = require('vscode-languageserver');
+const { parseDocument, walk, calleeOf } = require('../parser');
+const { resolveCallee, boundParameter } = require('./signature-help');
+
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '>', '<=', '>=', '&&', '||']);
+
+/**
+ * Inlay hints, each category behind its own setting: parameter names at call
+ * sites, the type of stats declared without one and the `player` namespace of
+ * stats declared without a namespace.
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {{start:{line:number}, end:{line:number}}} range
+ * @param {{parameterNames:boolean, statTypes:boolean, statNamespaces:boolean}} settings
+ */
+function provideInlayHints(index, document, range, settings) {
+    const hints = [];
+    const inRange = (position) => position.line >= range.start.line && position.line <= range.end.line;
+    walk(parseDocument(document), (node) => {
+        // Skip what lies entirely outside the requested lines
+        if (node.range.end.line < range.start.line || node.range.start.line > range.end.line) return false;
+        if (node.type === 'Call' && settings.parameterNames) {
+            hints.push(...parameterNameHints(index, node).filter(hint => inRange(hint.position)));
+        } else if (node.type === 'Stat' && node.name && inRange(node.nameRange.start)) {
+            if (settings.statNamespaces && !node.namespace) {
+                hints.push({
+                    label: 'player',
+                    position: node.nameRange.start,
+                    paddingRight: true,
+                    tooltip: 'Stats declared without a namespace are stored per player'
+                });
+            }
+            const type = settings.statTypes && !node.valueType && node.value ? inferType(index, node.value) : null;
+            if (type) hints.push({ label: `: ${type}`, position: node.nameRange.end, kind: InlayHintKind.Type });
+        }
+        return true;
+    });
+    return hints;
+}
+
+// `name:` before each positional argument of a call to a known function, macro or struct function
+function parameterNameHints(index, call) {
+    const callee = calleeOf(call);
+    const info = callee && resolveCallee(index, callee.lhs, callee.name);
+    if (!info || !info.params || info.params.length === 0) return [];
+    const hints = [];
+    for (const arg of call.args) {
+        if (arg.name || !arg.value) continue;
+        const p = boundParameter(info.params, call, arg);
+        if (!p) continue;
+        hints.push({
+            label: `${p.name}:`,
+            position: arg.value.range.start,
+            kind: InlayHintKind.Parameter,
+            paddingRight: true
+        });
+    }
+    return hints;
+}
+
+/**
+ * Type of the value a stat is initialized with, when it can be told without
+ * the compiler. Returns null otherwise.
+ */
+function inferType(index, expression) {
+    switch (expression.type) {
+        case 'Literal':
+            if (expression.kind === 'bool') return 'bool';
+            if (expression.kind === 'number') {
+                // Durations like `3s` have no plain numeric type
+                if (/^\d+[A-Za-z]+$/.test(expression.value)) return null;
+                return /^\d*\.\d|^\d+[eE]/.test(expression.value) ? 'float' : 'int';
+            }
+            return null;
+        case 'String':
+            return 'string';
+        case 'Group':
+            return expression.expression ? inferType(index, expression.expression) : null;
+        case 'Unary':
+            return expression.operator === '!' ? 'bool' : inferType(index, expression.argument);
+        case 'Binary': {
+            if (COMPARISON_OPERATORS.has(expression.operator)) return 'bool';
+            const left = inferType(index, expression.left);
+            const right = inferType(index, expression.right);
+            if (left === 'string' || right === 'string') return expression.operator === '+' ? 'string' : null;
+            if (left === 'float' || right === 'float') return left && right ? 'float' : null;
+            return left === 'int' && right === 'int' ? 'int' : null;
+        }
+        case 'Qualified': {
+            const members = index.getEnumMembers(expression.qualifier);
+            if (members && members[expression.name]) return expression.qualifier;
+            const functions = index.getStructFunctions(expression.qualifier);
+            return functions && functions[expression.name] ? functions[expression.name].returnType || null : null;
+        }
+        case 'Identifier': {
+            const stats = index.stats.get(expression.name);
+            const typed = stats && stats.find(s => s.valueType);
+            return typed ? typed.valueType : null;
+        }
+        case 'Call': {
+            const callee = calleeOf(expression);
+            const info = callee && resolveCallee(index, callee.lhs, callee.name);
+            return info && info.returnType ? info.returnType : null;
+        }
+        default:
+            return null;
+    }
+}
+
+module.exports = { provideInlayHints, inferType };
@@ -0,0 +1,174 @@
+const { ResponseError, LSPErrorCodes } = require('vscode-languageserver');
+const { IDENTIFIER, getWordAtPosition, getPossiblyQualifiedToken, containerKey, chooseStatForPosition } = require('../text');
+const { parseDocument, walk, functionBlocks, blockAt, containsPosition, stringAt, parameterReferences } = require('../parser');
+
+// Words that cannot be used as a new name
+const KEYWORDS = new Set([
+    'fn', 'macro', 'const', 'stat', 'player', 'team', 'global', 'enum', 'struct', 'event', 'command',
+    'if', 'else', 'for', 'while', 'return', 'random', 'true', 'false', 'nil',
+    'void', 'int', 'float', 'string', 'bool', 'any'
+]);
+
+/**
+ * Workspace symbol under the cursor: a constant, function, macro or stat declared
+ * in the user's files. Symbols of the std library are reported as `{ kind: 'std' }`.
+ * Stats are resolved with chooseStatForPosition, so a stat declared inside a `fn`
+ * body is a different symbol than a file-level stat of the same name.
+ *
+ * @returns {{kind:'constant'|'function'|'macro'|'stat'|'std', name:string, range:any, declaration?:any}|null}
+ */
+function resolveSymbol(index, document, position) {
+    const { text: name, range } = getWordAtPosition(document, position);
+    if (!name) return null;
+    // Enum members, struct functions and types are not renamed here
+    if (getPossiblyQualifiedToken(document, position).lhs) return null;
+    const ast = parseDocument(document);
+    if (inCommentOrString(ast, position) || isParameterAt(ast, position)) return null;
+
+    if (index.constants.has(name)) return { kind: 'constant', name, range, declaration: index.constants.get(name) };
+    if (index.functions.has(name)) return { kind: 'function', name, range, declaration: index.functions.get(name) };
+    if (index.macros.has(name)) return { kind: 'macro', name, range, declaration: index.macros.get(name) };
+    if (index.stats.has(name)) {
+        const declaration = chooseStatForPosition(document, position.line, index.stats.get(name));
+        if (declaration) return { kind: 'stat', name, range, declaration };
+    }
+    const std = index.std;
+    if (std.actions[name] || std.conditions[name] || std.constants.has(name) || std.macros.has(name) || index.getType(name)) {
+        return { kind: 'std', name, range };
+    }
+    return null;
+}
+
+// Whether `position` is in a comment or in the text of a string
+function inCommentOrString(ast, position) {
+    const inComment = ast.comments.some(c => c.line === position.line && c.start <= position.character && position.character <= c.end);
+    const inString = stringAt(ast, position);
+    return inComment || (!!inString && !inString.interpolation);
+}
+
+// Whether `position` is on a parameter or a use of one
+function isParameterAt(ast, position) {
+    for (const identifier of parameterReferences(ast)) {
+        if (containsPosition(identifier.range, position)) return true;
+    }
+    let found = false;
+    walk(ast, (node) => {
+        if (node.type === 'Param' && containsPosition(node.nameRange, position)) found = true;
+    });
+    return found;
+}
+
+/**
+ * Ranges where `name` is used as an identifier in a document, and where a
+ * constant, function, macro or stat of that name is declared. Names in comments
+ * and strings, qualified names (`Type::name`), members (`value.name`), named
+ * arguments (`call(name = value)`) and parameters are not identifiers.
+ */
+function findOccurrences(document, name) {
+    const ranges = [];
+    const ast = parseDocument(document);
+    const parameters = parameterReferences(ast);
+    walk(ast, (node, parent) => {
+        if (node.type === 'Identifier' && node.name === name) {
+            if (!parameters.has(node)) ranges.push(node.range);
+        } else if (node.name === name && (node.type === 'Stat'
+            || ((node.type === 'Const' || node.type === 'Function') && parent.type === 'Program'))) {
+            ranges.push(node.nameRange);
+        }
+    });
+    return ranges;
+}
+
+function sameDeclaration(a, b) {
+    return !!a && !!b && a.uri === b.uri && a.line === b.line;
+}
+
+/**
+ * Every location of the resolved symbol in the project of `index`.
+ * @param {(uri:string) => any} getDocument open document or the file on disk, null if unreadable
+ */
+function symbolLocations(index, symbol, getDocument) {
+    const locations = [];
+    const decls = symbol.kind === 'stat' ? index.stats.get(symbol.name) || [] : null;
+    for (const uri of index.fileToSymbols.keys()) {
+        const document = getDocument(uri);
+        if (!document) continue;
+        let ranges = findOccurrences(document, symbol.name);
+        if (decls && decls.length > 1 && ranges.length > 0) {
+            // Keep the uses that resolve to the same stat, one lookup per enclosing fn/macro
+            const blocks = functionBlocks(parseDocument(document));
+            const resolved = new Map(); // container key -> chosen declaration
+            ranges = ranges.filter(range => {
+                const line = range.start.line;
+                const key = containerKey(blockAt(blocks, line));
+                if (!resolved.has(key)) resolved.set(key, chooseStatForPosition(document, line, decls));
+                return sameDeclaration(resolved.get(key), symbol.declaration);
+            });
+        }
+        for (const range of ranges) locations.push({ uri, range });
+    }
+    return locations;
+}
+
+function isDeclaration(location, declaration) {
+    return location.uri === declaration.uri && location.range.start.line === declaration.line;
+}
+
+/**
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {{line:number, character:number}} position
+ * @param {boolean} includeDeclaration
+ * @param {(uri:string) => any} getDocument
+ */
+function provideReferences(index, document, position, includeDeclaration, getDocument) {
+    const symbol = resolveSymbol(index, document, position);
+    if (!symbol || symbol.kind === 'std') return null;
+    const locations = symbolLocations(index, symbol, getDocument);
+    return includeDeclaration ? locations : locations.filter(l => !isDeclaration(l, symbol.declaration));
+}
+
+// Symbol to rename, or a ResponseError explaining why it cannot be renamed
+function renameTarget(index, document, position) {
+    if (inCommentOrString(parseDocument(document), position)) {
+        throw new ResponseError(LSPErrorCodes.RequestFailed, 'Names in comments and strings cannot be renamed');
+    }
+    const symbol = resolveSymbol(index, document, position);
+    if (!symbol) {
+        throw new ResponseError(LSPErrorCodes.RequestFailed, 'Only workspace stats, functions, macros and constants can be renamed');
+    }
+    if (symbol.kind === 'std') {
+        throw new ResponseError(LSPErrorCodes.RequestFailed, `'${symbol.name}' is part of the HSL standard library and cannot be renamed`);
+    }
+    return symbol;
+}
+
+function prepareRename(index, document, position) {
+    const symbol = renameTarget(index, document, position);
+    return { range: symbol.range, placeholder: symbol.name };
+}
+
+/**
+ * @returns {{changes: Record<string, {range:any, newText:string}[]>}} WorkspaceEdit
+ */
+function provideRename(index, document, position, newName, getDocument) {
+    const symbol = renameTarget(index, document, position);
+    if (!new RegExp(`^${IDENTIFIER.source}$`).test(newName) || KEYWORDS.has(newName)) {
+        throw new ResponseError(LSPErrorCodes.RequestFailed, `'${newName}' is not a valid name`);
+    }
+    const taken = symbol.kind === 'stat'
+        ? (index.stats.get(newName) || []).some(d => d.uri === symbol.declaration.uri && d.container === symbol.declaration.container)
+        : index.constants.has(newName) || index.functions.has(newName) || index.macros.has(newName);
+    if (taken) {
+        throw new ResponseError(LSPErrorCodes.RequestFailed, `'${newName}' is already declared`);
+    }
+
+    const changes = {};
+    for (const { uri, range } of symbolLocations(index, symbol, getDocument)) {
+        if (!changes[uri]) changes[uri] = [];
+        changes[uri].push({ range, newText: newName });
+    }
+    return { changes };
+}
+
+module.exports = { provideReferences, prepareRename, provideRename };
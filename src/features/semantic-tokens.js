@@ -0,0 +1,161 @@
+const { SemanticTokenTypes, SemanticTokenModifiers } = require('vscode-languageserver');
+const { chooseStatForPosition, deprecationOf } = require('../text');
+const { parseDocument, walk, textOf, functionBlocks } = require('../parser');
+
+const TOKEN_TYPES = [
+    SemanticTokenTypes.namespace,
+    SemanticTokenTypes.enum,
+    SemanticTokenTypes.struct,
+    SemanticTokenTypes.parameter,
+    SemanticTokenTypes.variable,
+    SemanticTokenTypes.property,
+    SemanticTokenTypes.enumMember,
+    SemanticTokenTypes.event,
+    SemanticTokenTypes.function,
+    SemanticTokenTypes.method,
+    SemanticTokenTypes.macro,
+    SemanticTokenTypes.decorator
+];
+
+// Stats also carry the namespace they are stored in
+const TOKEN_MODIFIERS = [
+    SemanticTokenModifiers.declaration,
+    SemanticTokenModifiers.readonly,
+    SemanticTokenModifiers.deprecated,
+    SemanticTokenModifiers.defaultLibrary,
+    'player',
+    'team',
+    'global'
+];
+
+const LEGEND = { tokenTypes: TOKEN_TYPES, tokenModifiers: TOKEN_MODIFIERS };
+
+/**
+ * Semantic tokens of a document, coloured by what the indexes know about each
+ * name: stats by namespace, constants as readonly variables, std symbols with
+ * `defaultLibrary` and deprecated declarations with `deprecated`.
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {import('vscode-languageserver').SemanticTokensBuilder} builder
+ * @param {{start:{line:number}, end:{line:number}}} [range] only the tokens on these lines
+ */
+function provideSemanticTokens(index, document, builder, range) {
+    const ast = parseDocument(document);
+    const blocks = functionBlocks(ast);
+    const tokens = [];
+    const add = (nodeRange, type, modifiers = []) => {
+        const { start, end } = nodeRange;
+        if (start.line !== end.line || end.character <= start.character) return;
+        if (range && (start.line < range.start.line || start.line > range.end.line)) return;
+        tokens.push({ line: start.line, character: start.character, length: end.character - start.character, type, modifiers });
+    };
+
+    // Names of a symbol from the indexes; std entries have no URI
+    const symbolModifiers = (entry, ...modifiers) => {
+        if (!entry.uri) modifiers.push(SemanticTokenModifiers.defaultLibrary);
+        if (entry.deprecated !== null && entry.deprecated !== undefined) modifiers.push(SemanticTokenModifiers.deprecated);
+        return modifiers;
+    };
+    const declared = (node, ...modifiers) => {
+        modifiers.unshift(SemanticTokenModifiers.declaration);
+        if (node.annotations && deprecationOf(node.doc, node.annotations.map(a => a.text)) !== null) modifiers.push(SemanticTokenModifiers.deprecated);
+        return modifiers;
+    };
+    const addType = (nodeRange, name) => {
+        const type = index.getType(name);
+        if (type) add(nodeRange, type.kind === 'enum' ? SemanticTokenTypes.enum : SemanticTokenTypes.struct, symbolModifiers(type));
+    };
+    const addName = (nodeRange, name, params) => {
+        const std = index.std;
+        if (params.has(name)) return add(nodeRange, SemanticTokenTypes.parameter);
+        if (index.stats.has(name)) {
+            const stat = chooseStatForPosition(document, nodeRange.start.line, index.stats.get(name), blocks);
+            return add(nodeRange, SemanticTokenTypes.variable, symbolModifiers(stat, stat.namespace || 'player'));
+        }
+        const constant = index.constants.get(name) || std.constants.get(name);
+        if (constant) return add(nodeRange, SemanticTokenTypes.variable, symbolModifiers(constant, SemanticTokenModifiers.readonly));
+        const fn = index.functions.get(name) || std.actions[name] || std.conditions[name];
+        if (fn) return add(nodeRange, SemanticTokenTypes.function, symbolModifiers(fn));
+        const macro = index.macros.get(name) || std.macros.get(name);
+        if (macro) return add(nodeRange, SemanticTokenTypes.macro, symbolModifiers(macro));
+        addType(nodeRange, name);
+    };
+
+    // Declarations and the names below `node`; `params` are the parameters in scope
+    const visit = (node, params) => walk(node, (child) => {
+        switch (child.type) {
+            case 'Annotation':
+                add(child.nameRange, SemanticTokenTypes.decorator);
+                return true;
+            case 'Const':
+                add(child.nameRange, SemanticTokenTypes.variable, declared(child, SemanticTokenModifiers.readonly));
+                return true;
+            case 'Stat':
+                if (child.name) add(child.nameRange, SemanticTokenTypes.variable, declared(child, child.namespace || 'player'));
+                return true;
+            case 'Function':
+                visitFunction(child, child.kind === 'macro' ? SemanticTokenTypes.macro : SemanticTokenTypes.function);
+                return false;
+            case 'Event':
+                add(child.nameRange, SemanticTokenTypes.event, declared(child));
+                visitFunction(child, null);
+                return false;
+            case 'Section':
+                // Named with an identifier rather than a string
+                if (child.name && textOf(ast, child.nameRange) === child.name) add(child.nameRange, SemanticTokenTypes.namespace, declared(child));
+                return true;
+            case 'Enum':
+                add(child.nameRange, SemanticTokenTypes.enum, declared(child));
+                for (const member of child.members) {
+                    add(member.nameRange, SemanticTokenTypes.enumMember, declared(member));
+                    for (const p of member.params) add(p.nameRange, SemanticTokenTypes.parameter, [SemanticTokenModifiers.declaration]);
+                    if (member.value) visit(member.value, params);
+                }
+                for (const fn of child.functions) visitFunction(fn, SemanticTokenTypes.method);
+                return false;
+            case 'Struct':
+                add(child.nameRange, SemanticTokenTypes.struct, declared(child));
+                for (const field of child.fields) {
+                    add(field.nameRange, SemanticTokenTypes.property, declared(field));
+                    if (field.defaultExpr) visit(field.defaultExpr, params);
+                }
+                for (const fn of child.functions) visitFunction(fn, SemanticTokenTypes.method);
+                return false;
+            case 'Identifier':
+                addName(child.range, child.name, params);
+                return true;
+            case 'Qualified': {
+                addType(child.qualifierRange, child.qualifier);
+                const members = index.getEnumMembers(child.qualifier);
+                const functions = index.getStructFunctions(child.qualifier);
+                if (members && members[child.name]) add(child.nameRange, SemanticTokenTypes.enumMember, symbolModifiers(members[child.name]));
+                else if (functions && functions[child.name]) add(child.nameRange, SemanticTokenTypes.method, symbolModifiers(functions[child.name]));
+                return true;
+            }
+            default:
+                return true;
+        }
+    });
+    // Functions and events: their parameters are in scope in the body
+    const visitFunction = (fn, type) => {
+        if (type && fn.name) add(fn.nameRange, type, declared(fn));
+        for (const annotation of fn.annotations) visit(annotation, new Set());
+        for (const p of fn.params) {
+            add(p.nameRange, SemanticTokenTypes.parameter, [SemanticTokenModifiers.declaration]);
+            if (p.defaultExpr) visit(p.defaultExpr, new Set());
+        }
+        if (fn.body) visit(fn.body, new Set(fn.params.map(p => p.name)));
+    };
+
+    visit(ast, new Set());
+    for (const ref of ast.typeReferences) addType(ref.range, ref.name);
+
+    tokens.sort((a, b) => a.line - b.line || a.character - b.character);
+    for (const token of tokens) {
+        let modifiers = 0;
+        for (const modifier of token.modifiers) modifiers |= 1 << TOKEN_MODIFIERS.indexOf(modifier);
+        builder.push(token.line, token.character, token.length, TOKEN_TYPES.indexOf(token.type), modifiers);
+    }
+}
+
+module.exports = { provideSemanticTokens, LEGEND };
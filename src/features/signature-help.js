@@ -0,0 +1,109 @@
+const { parseDocument, callsAt, calleeOf, comparePositions } = require('../parser');
+
+const TRIGGER_CHARACTERS = ['(', ','];
+const RETRIGGER_CHARACTERS = [')', '='];
+
+/**
+ * Signature of the call around the cursor, with the active parameter picked from
+ * the position among the arguments or from a named argument (`param = value`).
+ * Calls may be nested and span several lines.
+ * @param {import('../workspace-index')} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @param {{line:number, character:number}} position
+ */
+function provideSignatureHelp(index, document, position) {
+    const calls = callsAt(parseDocument(document), position);
+    // The innermost call we know
+    for (let i = calls.length - 1; i >= 0; i--) {
+        const callee = calleeOf(calls[i]);
+        const info = callee && resolveCallee(index, callee.lhs, callee.name);
+        if (!info) continue;
+        const params = info.params || [];
+        const signature = signatureInformation(callee.lhs ? `${callee.lhs}::${callee.name}` : callee.name, info, params);
+        return {
+            signatures: [signature],
+            activeSignature: 0,
+            activeParameter: activeParameter(params, argumentsBefore(calls[i], position))
+        };
+    }
+    return null;
+}
+
+/**
+ * The arguments of `call` up to the one at `position`, which is last:
+ * `[{ name }]` with `name` set for named arguments.
+ */
+function argumentsBefore(call, position) {
+    const slotOf = (pos) => call.separators.filter(s => comparePositions(s, pos) < 0).length;
+    const args = Array.from({ length: slotOf(position) + 1 }, () => ({ name: null }));
+    for (const arg of call.args) {
+        const slot = slotOf(arg.range.start);
+        // A name counts once its '=' is typed
+        if (slot < args.length && arg.name && comparePositions(arg.nameRange.end, position) <= 0) args[slot].name = arg.name;
+    }
+    return args;
+}
+
+// Workspace functions and macros shadow std actions and conditions of the same name
+function resolveCallee(index, lhs, name) {
+    const std = index.std;
+    if (lhs) {
+        const functions = index.getStructFunctions(lhs);
+        return functions ? functions[name] : undefined;
+    }
+    return index.functions.get(name)
+        || index.macros.get(name)
+        || std.actions[name]
+        || std.conditions[name]
+        || std.macros.get(name);
+}
+
+function signatureInformation(callee, info, params) {
+    let label = `${callee}(`;
+    const parameters = params.map((p, i) => {
+        if (i > 0) label += ', ';
+        const text = p.defaultValue !== undefined ? `${p.name}: ${p.type} = ${p.defaultValue}` : `${p.name}: ${p.type}`;
+        const start = label.length;
+        label += text;
+        const documentation = p.defaultValue !== undefined
+            ? `\`${p.type}\`, defaults to \`${p.defaultValue}\``
+            : `\`${p.type}\``;
+        return { label: [start, label.length], documentation: { kind: 'markdown', value: documentation } };
+    });
+    label += ')';
+    const signature = { label, parameters };
+    if (info.doc) signature.documentation = { kind: 'markdown', value: info.doc };
+    return signature;
+}
+
+/**
+ * Index of the parameter the last argument is for. Named arguments name their
+ * parameter; positional ones take the parameters not named elsewhere, in order.
+ */
+function activeParameter(params, args) {
+    const current = args[args.length - 1];
+    if (current.name) {
+        const named = params.findIndex(p => p.name === current.name);
+        return named === -1 ? params.length : named;
+    }
+    const namedElsewhere = new Set(args.filter(arg => arg.name).map(arg => arg.name));
+    const positional = params.map((p, i) => i).filter(i => !namedElsewhere.has(params[i].name));
+    const position = args.slice(0, -1).filter(arg => !arg.name).length;
+    return position < positional.length ? positional[position] : params.length;
+}
+
+/**
+ * Parameter an argument of a complete call binds, or undefined: named arguments
+ * bind by name, the others take the parameters no argument names, in order.
+ */
+function boundParameter(params, call, arg) {
+    if (arg.name) return params.find(p => p.name === arg.name);
+    const named = new Set(call.args.filter(a => a.name).map(a => a.name));
+    const positional = params.filter(p => !named.has(p.name));
+    // Position among the arguments, counting empty ones
+    const slot = call.separators.filter(s => comparePositions(s, arg.range.start) < 0).length;
+    const namedBefore = call.args.filter(a => a.name && comparePositions(a.range.start, arg.range.start) < 0).length;
+    return positional[slot - namedBefore];
+}
+
+module.exports = { provideSignatureHelp, resolveCallee, argumentsBefore, activeParameter, boundParameter, TRIGGER_CHARACTERS, RETRIGGER_CHARACTERS };
@@ -0,0 +1,119 @@
+const path = require('path');
+const { SymbolKind } = require('vscode-languageserver');
+const { fileUri, symbolLocation } = require('../text');
+
+// Upper bound on the results of one query, best matches first
+const MAX_RESULTS = 256;
+
+/**
+ * Fuzzy search over the symbols of every project and of the std library
+ * ("Go to Symbol in Workspace"). Only the in-memory indexes are searched, so a
+ * query never touches the disk.
+ * @param {Map<string, import('../workspace-index')>} indexes project directory (or folder, or '') -> index
+ * @param {import('../std-index').StdIndex} std
+ * @param {string} query
+ * @returns {import('vscode-languageserver').SymbolInformation[]}
+ */
+function provideWorkspaceSymbols(indexes, std, query) {
+    const matcher = createMatcher(query);
+    const results = [];
+    const add = (name, kind, containerName, uri, entry) => {
+        const score = matcher(name);
+        if (score >= 0) results.push({ score, name, kind, containerName, uri, entry });
+    };
+
+    for (const [scope, index] of indexes) {
+        // Labelled with the project (or folder) the symbol belongs to
+        const project = path.basename(scope);
+        for (const [name, entry] of index.constants) add(name, SymbolKind.Constant, project, entry.uri, entry);
+        for (const [name, entry] of index.functions) add(name, SymbolKind.Function, project, entry.uri, entry);
+        for (const [name, entry] of index.macros) add(name, SymbolKind.Function, `macro · ${project}`, entry.uri, entry);
+        for (const [name, decls] of index.stats) {
+            const score = matcher(name);
+            if (score < 0) continue;
+            for (const entry of decls) {
+                // Container keys look like 'fn:reward:4-9'
+                const container = entry.container ? entry.container.split(':')[1] : project;
+                results.push({ score, name, kind: SymbolKind.Variable, containerName: `${entry.namespace || 'player'} stat · ${container}`, uri: entry.uri, entry });
+            }
+        }
+        addTypes(add, project, index.types, index.enumMembers, index.structFunctions, (entry) => entry.uri);
+    }
+
+    const uris = new Map(); // file path -> URI, std entries only carry paths
+    const stdUri = (entry) => {
+        if (!uris.has(entry.filePath)) uris.set(entry.filePath, fileUri(entry.filePath));
+        return uris.get(entry.filePath);
+    };
+    const actionsUri = fileUri(std.actionsFilePath);
+    const conditionsUri = fileUri(std.conditionsFilePath);
+    for (const [name, entry] of Object.entries(std.actions)) add(name, SymbolKind.Function, 'hsl-std action', actionsUri, entry);
+    for (const [name, entry] of Object.entries(std.conditions)) add(name, SymbolKind.Function, 'hsl-std condition', conditionsUri, entry);
+    for (const [name, entry] of std.constants) add(name, SymbolKind.Constant, 'hsl-std', stdUri(entry), entry);
+    for (const [name, entry] of std.macros) add(name, SymbolKind.Function, 'hsl-std macro', stdUri(entry), entry);
+    addTypes(add, 'hsl-std', std.types, std.enumMembers, std.structFunctions, stdUri);
+
+    results.sort((a, b) => b.score - a.score || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    return results.slice(0, MAX_RESULTS).map(({ name, kind, containerName, uri, entry }) => ({
+        name,
+        kind,
+        containerName,
+        location: symbolLocation(uri, entry.line, entry.character)
+    }));
+}
+
+// Enums with their members and structs with their functions
+function addTypes(add, containerName, types, enumMembers, structFunctions, uriOf) {
+    for (const [name, entry] of Object.entries(types)) {
+        add(name, entry.kind === 'enum' ? SymbolKind.Enum : SymbolKind.Struct, containerName, uriOf(entry), entry);
+    }
+    for (const [enumName, members] of Object.entries(enumMembers)) {
+        for (const [name, entry] of Object.entries(members)) add(name, SymbolKind.EnumMember, enumName, uriOf(entry), entry);
+    }
+    for (const [structName, functions] of Object.entries(structFunctions)) {
+        for (const [name, entry] of Object.entries(functions)) add(name, SymbolKind.Method, structName, uriOf(entry), entry);
+    }
+}
+
+/**
+ * Scores names against a query whose characters must appear in order. Matches at
+ * the start, at word boundaries (`_`, camelCase) and runs of consecutive characters
+ * score higher. Returns -1 for names that do not match.
+ */
+function createMatcher(query) {
+    const wanted = query.replace(/\s+/g, '');
+    if (!wanted) return () => 0;
+    const lower = Array.from(wanted, ch => lowerCode(ch.charCodeAt(0)));
+    return (name) => {
+        if (name.length < lower.length) return -1;
+        let score = 0;
+        let q = 0;
+        let previous = -2;
+        for (let i = 0; i < name.length && q < lower.length; i++) {
+            const code = name.charCodeAt(i);
+            if (lowerCode(code) !== lower[q]) continue;
+            score += 1;
+            if (i === 0) score += 8;
+            else if (previous === i - 1) score += 4;
+            else if (isBoundary(name.charCodeAt(i - 1), code)) score += 3;
+            if (code === wanted.charCodeAt(q)) score += 1;
+            previous = i;
+            q++;
+        }
+        if (q < lower.length) return -1;
+        // Among equal matches prefer the shorter name
+        return score - (name.length - lower.length) / 100;
+    };
+}
+
+// Identifiers are ASCII, so case is folded without allocating lower-case copies of every name
+function lowerCode(code) {
+    return code >= 65 && code <= 90 ? code + 32 : code;
+}
+
+// Start of a word: after '_' or an upper-case letter after a lower-case one
+function isBoundary(previous, code) {
+    return previous === 95 || (code >= 65 && code <= 90 && previous >= 97 && previous <= 122);
+}
+
+module.exports = { provideWorkspaceSymbols };
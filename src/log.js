@@ -0,0 +1,54 @@
+const util = require('util');
+
+/**
+ * Logging for the language server, filtered by the hsl.logLevel setting:
+ *   off    nothing
+ *   error  errors and warnings
+ *   info   also what the server is doing (default)
+ *   trace  also compiler output and every request/response to the compiler
+ *
+ * Messages go to the sink set with setLogSink (the LSP connection's console in
+ * the server, which VS Code shows in the "HSL" output channel).
+ */
+const LOG_LEVELS = { off: 0, error: 1, info: 2, trace: 3 };
+
+let level = LOG_LEVELS.info;
+let sink = {
+    error: (message) => console.error(message),
+    warn: (message) => console.warn(message),
+    info: (message) => console.info(message),
+    log: (message) => console.log(message)
+};
+
+function setLogLevel(name) {
+    level = Object.prototype.hasOwnProperty.call(LOG_LEVELS, name) ? LOG_LEVELS[name] : LOG_LEVELS.info;
+}
+
+/**
+ * @param {{error:(m:string)=>void, warn:(m:string)=>void, info:(m:string)=>void, log:(m:string)=>void}} newSink
+ */
+function setLogSink(newSink) {
+    sink = newSink;
+}
+
+function isTracing() {
+    return level >= LOG_LEVELS.trace;
+}
+
+function error(...args) {
+    if (level >= LOG_LEVELS.error) sink.error(util.format(...args));
+}
+
+function warn(...args) {
+    if (level >= LOG_LEVELS.error) sink.warn(util.format(...args));
+}
+
+function info(...args) {
+    if (level >= LOG_LEVELS.info) sink.info(util.format(...args));
+}
+
+function trace(...args) {
+    if (level >= LOG_LEVELS.trace) sink.log(util.format(...args));
+}
+
+module.exports = { LOG_LEVELS, setLogLevel, setLogSink, isTracing, error, warn, info, trace };
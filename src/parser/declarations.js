@@ -0,0 +1,96 @@
+const { walk, functionBlocks, blockAt, textOf, parameterReferences } = require('./index');
+const { deprecationOf, containerKey } = require('../text');
+
+/**
+ * Symbols declared in a parsed file, in the shapes the std and workspace indexes
+ * store. `location` (like `{ uri, filePath }`) is copied into every entry.
+ *
+ * Constants, functions, macros and types are keyed by name; enum members and
+ * struct functions by type name, then member name. Stats are listed with the
+ * container key of the `fn`/`macro` that declares them ('' at file level).
+ * `identifiers` maps every name used in an expression, other than parameters,
+ * to where it is used, with `write` set where it is assigned to or incremented,
+ * and `blocks` are the functionBlocks of the file.
+ */
+function collectDeclarations(ast, location = {}) {
+    const found = { constants: {}, functions: {}, macros: {}, stats: [], types: {}, enumMembers: {}, structFunctions: {}, identifiers: new Map(), blocks: [] };
+
+    for (const node of ast.body) {
+        switch (node.type) {
+            case 'Const':
+                found.constants[node.name] = entry(node, location);
+                break;
+            case 'Function':
+                if (node.kind === 'fn') found.functions[node.name] = functionEntry(node, location);
+                else if (node.kind === 'macro') found.macros[node.name] = functionEntry(node, location);
+                break;
+            case 'Enum':
+                found.types[node.name] = { kind: 'enum', ...entry(node, location) };
+                found.enumMembers[node.name] = {};
+                for (const member of node.members) found.enumMembers[node.name][member.name] = entry(member, location);
+                break;
+            case 'Struct':
+                found.types[node.name] = { kind: 'struct', ...entry(node, location) };
+                found.structFunctions[node.name] = {};
+                for (const fn of node.functions) found.structFunctions[node.name][fn.name] = functionEntry(fn, location);
+                break;
+            default:
+                break;
+        }
+    }
+
+    const blocks = functionBlocks(ast);
+    found.blocks = blocks;
+    const parameters = parameterReferences(ast);
+    walk(ast, (node, parent) => {
+        if (node.type === 'Stat' && node.name) {
+            found.stats.push({
+                name: node.name,
+                ...entry(node, location),
+                namespace: node.namespace,
+                team: node.team,
+                valueType: node.valueType,
+                value: node.value ? textOf(ast, node.value.range) : null,
+                container: containerKey(blockAt(blocks, node.nameRange.start.line))
+            });
+        } else if (node.type === 'Identifier' && !parameters.has(node)) {
+            if (!found.identifiers.has(node.name)) found.identifiers.set(node.name, []);
+            found.identifiers.get(node.name).push({
+                line: node.range.start.line,
+                character: node.range.start.character,
+                write: isWritten(node, parent)
+            });
+        }
+    });
+    return found;
+}
+
+function isWritten(node, parent) {
+    return !!parent && ((parent.type === 'Assignment' && parent.left === node) || (parent.type === 'Update' && parent.argument === node));
+}
+
+function entry(node, location) {
+    return {
+        ...location,
+        line: node.nameRange.start.line,
+        character: node.nameRange.start.character,
+        signature: withAnnotations(node),
+        doc: node.doc,
+        deprecated: deprecationOf(node.doc, node.annotations.map(a => a.text))
+    };
+}
+
+function functionEntry(node, location) {
+    return {
+        ...entry(node, location),
+        params: node.params.map(p => ({ name: p.name, type: p.valueType || '', defaultValue: p.defaultValue })),
+        returnType: node.returnType
+    };
+}
+
+// Signature of a declaration, below the annotations written above it
+function withAnnotations(node) {
+    return node.annotations.map(a => a.text).concat(node.signature).join('\n');
+}
+
+module.exports = { collectDeclarations };
@@ -0,0 +1,172 @@
+const { Lexer } = require('./lexer');
+const { parse, sliceLines } = require('./parser');
+
+// Parsed documents by URI, least recently used first
+const MAX_CACHED_DOCUMENTS = 64;
+const documentCache = new Map(); // uri -> { version, text, lexer, ast }
+
+/**
+ * AST of a document, parsed once per version. A new version is re-tokenized
+ * incrementally from the previous one.
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ */
+function parseDocument(document) {
+    const text = document.getText();
+    const cached = documentCache.get(document.uri);
+    documentCache.delete(document.uri);
+    if (cached && cached.version === document.version && cached.text === text) {
+        documentCache.set(document.uri, cached);
+        return cached.ast;
+    }
+    const lexer = cached ? cached.lexer : new Lexer();
+    const ast = parse(text, lexer.tokenize(text));
+    documentCache.set(document.uri, { version: document.version, text, lexer, ast });
+    if (documentCache.size > MAX_CACHED_DOCUMENTS) documentCache.delete(documentCache.keys().next().value);
+    return ast;
+}
+
+function forgetDocument(uri) {
+    documentCache.delete(uri);
+}
+
+/**
+ * Visit `node` and every node below it in source order. Returning false from
+ * `visit` skips the children of that node.
+ * @param {any} node
+ * @param {(node:any, parent:any) => boolean|void} visit
+ */
+function walk(node, visit, parent = null) {
+    if (visit(node, parent) === false) return;
+    for (const key in node) {
+        if (key === 'range' || key === 'comments' || key === 'errors' || key === 'typeReferences') continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const child of value) {
+                if (child && typeof child.type === 'string') walk(child, visit, node);
+            }
+        } else if (value && typeof value.type === 'string') {
+            walk(value, visit, node);
+        }
+    }
+}
+
+function comparePositions(a, b) {
+    return a.line - b.line || a.character - b.character;
+}
+
+function containsPosition(range, position) {
+    return comparePositions(range.start, position) <= 0 && comparePositions(position, range.end) <= 0;
+}
+
+// Source text of a range of a parsed program
+function textOf(ast, range) {
+    return sliceLines(ast.lines, range);
+}
+
+/**
+ * Bodies of `fn` and `macro` declarations, which scope the stats declared in them.
+ * @returns {Array<{kind:'fn'|'macro', name:string, headerStart:number, bodyStart:number, bodyEnd:number}>}
+ */
+function functionBlocks(ast) {
+    const blocks = [];
+    walk(ast, (node) => {
+        if (node.type === 'Function' && node.body && (node.kind === 'fn' || node.kind === 'macro')) {
+            blocks.push({
+                kind: node.kind,
+                name: node.name,
+                headerStart: node.signatureRange.start.line,
+                bodyStart: node.body.range.start.line,
+                bodyEnd: node.body.range.end.line
+            });
+        }
+    });
+    return blocks;
+}
+
+// The block whose body contains `line`, outermost first
+function blockAt(blocks, line) {
+    return blocks.find(b => line >= b.bodyStart && line <= b.bodyEnd) || null;
+}
+
+/**
+ * Calls whose argument list contains `position`, outermost first. The position
+ * must be after the '(' and, for closed calls, not after the ')'.
+ */
+function callsAt(ast, position) {
+    const calls = [];
+    walk(ast, (node) => {
+        if (node.type === 'Call' && comparePositions(node.openRange.end, position) <= 0
+            && comparePositions(position, node.range.end) < (node.closed ? 0 : 1)) {
+            calls.push(node);
+        }
+    });
+    return calls;
+}
+
+/**
+ * The innermost string literal around `position` and, when the position is
+ * inside one of its `{...}` expressions rather than its text, that Interpolation.
+ * Positions on the quotes or braces themselves count as text.
+ * @returns {{string:any, interpolation:any}|null} null outside of strings
+ */
+function stringAt(ast, position) {
+    let found = null;
+    walk(ast, (node) => {
+        if (!containsPosition(node.range, position)) return false;
+        const { start, end } = node.range;
+        if (node.type === 'String' && comparePositions(start, position) < 0
+            && (comparePositions(position, end) < 0 || !node.terminated)) {
+            found = { string: node, interpolation: null };
+        } else if (node.type === 'Interpolation' && found && comparePositions(start, position) < 0
+            && (comparePositions(position, end) < 0 || !node.closed)) {
+            found = { string: found.string, interpolation: node };
+        }
+        return true;
+    });
+    return found;
+}
+
+/**
+ * Identifiers in the body of a function or event that name one of its
+ * parameters, and so refer to no declaration of that name.
+ * @returns {Set<any>} Identifier nodes
+ */
+function parameterReferences(ast) {
+    const found = new Set();
+    walk(ast, (node) => {
+        if ((node.type !== 'Function' && node.type !== 'Event') || !node.body || node.params.length === 0) return;
+        const params = new Set(node.params.map(p => p.name));
+        walk(node.body, (child) => {
+            if (child.type === 'Identifier' && params.has(child.name)) found.add(child);
+        });
+    });
+    return found;
+}
+
+/**
+ * Name a call is made to: `name(...)`, `name!(...)` or `Type::name(...)`.
+ * Method calls on values (`value.name(...)`) have no callee name.
+ * @returns {{lhs:string, name:string, range:any}|null}
+ */
+function calleeOf(call) {
+    const callee = call.callee;
+    if (callee.type === 'Identifier') return { lhs: '', name: callee.name, range: callee.range };
+    if (callee.type === 'Qualified') return { lhs: callee.qualifier, name: callee.name, range: callee.nameRange };
+    return null;
+}
+
+module.exports = {
+    parse,
+    parseDocument,
+    forgetDocument,
+    walk,
+    comparePositions,
+    containsPosition,
+    textOf,
+    functionBlocks,
+    blockAt,
+    callsAt,
+    calleeOf,
+    stringAt,
+    parameterReferences
+};
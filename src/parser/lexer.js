@@ -0,0 +1,209 @@
+/**
+ * Tokenizer for HSL source.
+ *
+ * Text is tokenized line by line. The only state carried from one line to the
+ * next is whether a `/* ... *\/` comment is still open, so a re-tokenization after
+ * an edit can reuse the tokens of every line before the edit, and of every line
+ * after it once the state lines up again (see Lexer).
+ *
+ * Tokens:
+ *   { type, value, line, start, end, newline }
+ * where `type` is one of
+ *   'name'     identifiers and keywords
+ *   'number'   123, 1.5, 0xFF, and durations like 3s (the unit is part of the value)
+ *   'string'   "text" or $"text {expression}"; interpolated strings carry `parts`,
+ *              the tokens of each `{...}` expression and whether its '}' was found
+ *   'char'     'a'
+ *   'punct'    operators and punctuation, longest match first ('::', '+=', '==', ...)
+ *   'comment'  `//` comments and the part of a block comment on the line; kept apart
+ *              from the other tokens
+ * `start`/`end` are columns on `line`, and `newline` is set on the first token of a line.
+ */
+
+const PUNCTUATION = [
+    '::', '==', '!=', '<=', '>=', '&&', '||', '+=', '-=', '*=', '/=', '%=', '++', '--', '->',
+    '(', ')', '{', '}', '[', ']', '<', '>', ',', '.', ':', ';', '=', '+', '-', '*', '/', '%', '!', '?', '@', '&', '|', '^', '~', '#', '$'
+];
+
+const IDENTIFIER_START = /[A-Za-z_]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_]/;
+const NUMBER = /^(0x[0-9A-Fa-f]+|\d+(\.\d+)?([eE][+-]?\d+)?)[A-Za-z]*/;
+
+/**
+ * Tokens of one line.
+ * @param {string} text line without its line break
+ * @param {boolean} inComment whether a block comment is open at the start of the line
+ * @returns {{tokens: any[], comments: any[], inComment: boolean}}
+ */
+function lexLine(text, inComment) {
+    const tokens = [];
+    const comments = [];
+    let i = 0;
+    let closeFrom = 0; // the `*/` of a comment opened on this line starts after its `/*`
+    while (i < text.length) {
+        if (inComment) {
+            const close = text.indexOf('*/', Math.max(i, closeFrom));
+            const end = close === -1 ? text.length : close + 2;
+            comments.push({ type: 'comment', value: text.slice(i, end), start: i, end, block: true });
+            inComment = close === -1;
+            i = end;
+            continue;
+        }
+        const ch = text[i];
+        if (ch === ' ' || ch === '\t' || ch === '\r') {
+            i++;
+            continue;
+        }
+        if (ch === '/' && text[i + 1] === '/') {
+            comments.push({ type: 'comment', value: text.slice(i), start: i, end: text.length });
+            break;
+        }
+        if (ch === '/' && text[i + 1] === '*') {
+            inComment = true;
+            closeFrom = i + 2;
+            continue;
+        }
+        if (ch === '"' || (ch === '$' && text[i + 1] === '"')) {
+            const token = lexString(text, i);
+            tokens.push(token);
+            i = token.end;
+            continue;
+        }
+        if (ch === '\'') {
+            let j = i + 1;
+            while (j < text.length && text[j] !== '\'') j += text[j] === '\\' ? 2 : 1;
+            const end = Math.min(text.length, j + 1);
+            tokens.push({ type: 'char', value: text.slice(i, end), start: i, end });
+            i = end;
+            continue;
+        }
+        if (IDENTIFIER_START.test(ch)) {
+            let j = i + 1;
+            while (j < text.length && IDENTIFIER_PART.test(text[j])) j++;
+            tokens.push({ type: 'name', value: text.slice(i, j), start: i, end: j });
+            i = j;
+            continue;
+        }
+        const number = /[0-9]/.test(ch) ? NUMBER.exec(text.slice(i)) : null;
+        if (number) {
+            tokens.push({ type: 'number', value: number[0], start: i, end: i + number[0].length });
+            i += number[0].length;
+            continue;
+        }
+        const punct = PUNCTUATION.find(p => text.startsWith(p, i)) || ch;
+        tokens.push({ type: 'punct', value: punct, start: i, end: i + punct.length });
+        i += punct.length;
+    }
+    return { tokens, comments, inComment };
+}
+
+// A string literal starting at `start`; unterminated strings end with the line
+function lexString(text, start) {
+    const interpolated = text[start] === '$';
+    const parts = [];
+    let i = start + (interpolated ? 2 : 1);
+    while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\') {
+            i += 2;
+        } else if (interpolated && text[i] === '{') {
+            // Expression up to the matching '}', tokenized like code
+            let depth = 1;
+            let j = i + 1;
+            while (j < text.length && depth > 0) {
+                if (text[j] === '"') {
+                    // A string inside the expression
+                    j++;
+                    while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+                } else if (text[j] === '{') {
+                    depth++;
+                } else if (text[j] === '}') {
+                    depth--;
+                }
+                if (depth > 0) j++;
+            }
+            // Padded so the tokens keep their columns
+            const inner = lexLine(' '.repeat(i + 1) + text.slice(i + 1, j), false);
+            parts.push({ start: i, end: Math.min(text.length, j + 1), tokens: inner.tokens, closed: depth === 0 });
+            i = j + 1;
+        } else {
+            i++;
+        }
+    }
+    const end = Math.min(text.length, i + 1);
+    const token = { type: 'string', value: text.slice(start, end), start, end, interpolated, terminated: text[i] === '"' };
+    if (interpolated) token.parts = parts;
+    return token;
+}
+
+// Also sets the line of the tokens in `{...}` expressions, however deeply nested
+function setLine(token, line) {
+    token.line = line;
+    if (!token.parts) return;
+    for (const part of token.parts) for (const t of part.tokens) setLine(t, line);
+}
+
+/**
+ * Tokenizes documents and keeps the result per line, so tokenizing a new version
+ * of the same text only redoes the lines that changed.
+ */
+class Lexer {
+    constructor() {
+        this.lines = []; // { text, inCommentBefore, result }
+    }
+
+    /**
+     * @param {string} text
+     * @returns {{tokens: any[], comments: any[]}} tokens of the whole text, in order
+     */
+    tokenize(text) {
+        const texts = text.split('\n');
+        const previous = this.lines;
+        const lines = new Array(texts.length);
+
+        // Lines after the last change, matched from the end of both versions
+        let suffix = 0;
+        while (suffix < texts.length && suffix < previous.length
+            && texts[texts.length - 1 - suffix] === previous[previous.length - 1 - suffix].text) {
+            suffix++;
+        }
+
+        let inComment = false;
+        for (let i = 0; i < texts.length; i++) {
+            const reused = i < texts.length - suffix
+                ? (previous[i] && previous[i].text === texts[i] ? previous[i] : null)
+                : previous[previous.length - texts.length + i];
+            if (reused && reused.inCommentBefore === inComment) {
+                lines[i] = reused;
+            } else {
+                lines[i] = { text: texts[i], inCommentBefore: inComment, result: lexLine(texts[i], inComment) };
+            }
+            inComment = lines[i].result.inComment;
+        }
+        this.lines = lines;
+
+        const tokens = [];
+        const comments = [];
+        for (let i = 0; i < lines.length; i++) {
+            const result = lines[i].result;
+            result.tokens.forEach((token, k) => {
+                setLine(token, i);
+                token.newline = k === 0;
+                tokens.push(token);
+            });
+            for (const comment of result.comments) {
+                comment.line = i;
+                comments.push(comment);
+            }
+        }
+        return { tokens, comments };
+    }
+}
+
+/**
+ * Tokens of a whole text, without reuse.
+ */
+function tokenize(text) {
+    return new Lexer().tokenize(text);
+}
+
+module.exports = { Lexer, tokenize, lexLine };
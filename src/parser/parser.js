@@ -0,0 +1,799 @@
+const { tokenize } = require('./lexer');
+
+/**
+ * Error-tolerant parser for HSL. It never throws: unexpected tokens are recorded
+ * in `errors` and skipped, and unclosed blocks and argument lists end where the
+ * next declaration starts, so documents that are being typed still parse.
+ *
+ * Every node has a `type` and a `range` ({ start, end } of { line, character }).
+ * Declarations also have `name`, `nameRange`, `doc`, `annotations` and, except
+ * for events and sections, `signature`: their source text without annotations
+ * (only the header for functions).
+ *
+ *   Program      body, comments, errors, lines, typeReferences (names in type annotations)
+ *   Function     kind ('fn' | 'macro' | 'command'), params, returnType, body (Block or null), signature
+ *   Param        name, valueType, defaultValue (source text), defaultExpr
+ *   Const        valueType, value
+ *   Stat         namespace ('player' | 'team' | 'global' | null), team, valueType, value
+ *   Enum         baseType, members (EnumMember: params, value), functions
+ *   Struct       typeParams, fields (Field: valueType, defaultExpr), functions
+ *   Event        params, body
+ *   Section      keyword ('region' | 'menu' | 'scoreboard'), args, body
+ *   Annotation   args, separators, closed, openRange (null without parentheses), text
+ *
+ * Statements: Block (body), If (condition, then, else), While (condition, body),
+ * For (init, condition, update, body), Random (body), Return (value),
+ * ExpressionStatement (expression, block for unknown `keyword ... { }` forms).
+ *
+ * Expressions: Identifier (name), Qualified (qualifier, qualifierRange, name,
+ * nameRange), Call (callee, args, separators, macro, closed, openRange),
+ * Argument (name, nameRange, value), Member (object, property, propertyRange),
+ * Index (object, index), Literal (kind, value), String (value, interpolated, terminated,
+ * parts of Interpolation (expression, closed)),
+ * Array (elements), ArrayType (text), Group (expression), Binary / Assignment
+ * (operator, left, right), Unary / Update (operator, argument, prefix), Error.
+ */
+
+const DECLARATION_KEYWORDS = new Set(['fn', 'macro', 'command', 'const', 'stat', 'enum', 'struct', 'event', 'region', 'menu', 'scoreboard']);
+// Declarations that only appear at the top of a file, used to recover from unclosed blocks
+const TOP_LEVEL_KEYWORDS = new Set(['fn', 'macro', 'command', 'enum', 'struct', 'event', 'region', 'menu', 'scoreboard']);
+const NAMESPACES = new Set(['player', 'team', 'global']);
+const LITERAL_NAMES = new Set(['true', 'false', 'nil']);
+
+const BINARY_PRECEDENCE = {
+    '=': 1, '+=': 1, '-=': 1, '*=': 1, '/=': 1, '%=': 1,
+    '||': 2,
+    '&&': 3,
+    '==': 4, '!=': 4,
+    '<': 5, '>': 5, '<=': 5, '>=': 5,
+    '+': 6, '-': 6,
+    '*': 7, '/': 7, '%': 7
+};
+const ASSIGNMENT = new Set(['=', '+=', '-=', '*=', '/=', '%=']);
+const UNARY_PRECEDENCE = 8;
+
+class Parser {
+    /**
+     * @param {any[]} tokens from the lexer, without comments
+     * @param {any[]} comments
+     * @param {string[]} lines source lines, for declaration signatures
+     */
+    constructor(tokens, comments, lines) {
+        this.tokens = tokens;
+        this.comments = comments;
+        this.lines = lines;
+        this.pos = 0;
+        this.depth = 0; // open '(' and '[': line breaks inside them do not end a statement
+        this.errors = [];
+        this.typeReferences = []; // names used in type annotations
+        const lastLine = Math.max(0, lines.length - 1);
+        this.eof = { type: 'eof', value: '', line: lastLine, start: (lines[lastLine] || '').length, end: (lines[lastLine] || '').length, newline: true };
+        this.commentsByLine = new Map();
+        for (const comment of comments) {
+            if (!this.commentsByLine.has(comment.line)) this.commentsByLine.set(comment.line, []);
+            this.commentsByLine.get(comment.line).push(comment);
+        }
+        this.codeLines = new Set(tokens.map(t => t.line));
+    }
+
+    // --- tokens ---
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset] || this.eof;
+    }
+
+    next() {
+        const token = this.peek();
+        if (token !== this.eof) this.pos++;
+        return token;
+    }
+
+    previous() {
+        return this.tokens[this.pos - 1] || this.peek();
+    }
+
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type !== 'string' && token.type !== 'char' && token.value === value;
+    }
+
+    isName(offset = 0) {
+        return this.peek(offset).type === 'name';
+    }
+
+    accept(value) {
+        return this.is(value) ? this.next() : null;
+    }
+
+    expect(value) {
+        const token = this.accept(value);
+        if (!token) this.error(`Expected '${value}'`, this.peek());
+        return token;
+    }
+
+    atEnd() {
+        return this.peek() === this.eof;
+    }
+
+    // A line break ends a statement unless it is inside parentheses or brackets
+    atStatementEnd() {
+        const token = this.peek();
+        return token === this.eof || (token.newline && this.depth === 0) || token.value === '}' || token.value === ';';
+    }
+
+    // A top-level declaration at the start of a line, where an unclosed block must have ended
+    atTopLevelDeclaration() {
+        const token = this.peek();
+        return token.type === 'name' && token.newline && token.start === 0 && TOP_LEVEL_KEYWORDS.has(token.value)
+            || (token.value === '@' && token.newline && token.start === 0);
+    }
+
+    error(message, token) {
+        const range = tokenRange(token);
+        // Recovery can stop at the same token more than once; it is reported once
+        const last = this.errors[this.errors.length - 1];
+        if (last && last.range.start.line === range.start.line && last.range.start.character === range.start.character) return;
+        this.errors.push({ message, range });
+    }
+
+    // --- source ---
+
+    text(range) {
+        return sliceLines(this.lines, range);
+    }
+
+    /**
+     * Consecutive `//` comment lines above a declaration, skipping its annotations.
+     * Blank lines before the comment are allowed; a blank line inside it ends it,
+     * so license headers are left out.
+     */
+    docAbove(line) {
+        const docLines = [];
+        for (let l = line - 1; l >= 0; l--) {
+            const comments = this.commentsByLine.get(l);
+            const hasCode = this.codeLines.has(l);
+            if (!hasCode && comments && comments.length === 1 && !comments[0].block && comments[0].start === (this.lines[l].length - this.lines[l].trimStart().length)) {
+                docLines.push(comments[0].value.replace(/^\/\/\s?/, ''));
+                continue;
+            }
+            // Annotations may sit between the comment and the declaration
+            if (hasCode && (this.lines[l] || '').trim().startsWith('@')) continue;
+            if (!hasCode && !comments && !(this.lines[l] || '').trim()) {
+                if (docLines.length > 0) break;
+                continue;
+            }
+            break;
+        }
+        return docLines.reverse().join('\n').trim();
+    }
+
+    // --- declarations ---
+
+    parseProgram() {
+        const body = [];
+        while (!this.atEnd()) {
+            const before = this.pos;
+            if (this.is('}')) {
+                this.error("Unexpected '}'", this.next());
+                continue;
+            }
+            const node = this.parseStatement(true);
+            if (node) body.push(node);
+            if (this.pos === before) this.error(`Unexpected '${this.peek().value}'`, this.next());
+        }
+        return body;
+    }
+
+    /**
+     * A declaration or statement. Returns null for stray tokens, which the caller skips.
+     */
+    parseStatement(topLevel = false) {
+        const annotations = this.parseAnnotations();
+        const token = this.peek();
+        if (token.type === 'name') {
+            switch (token.value) {
+                case 'fn':
+                case 'macro':
+                case 'command':
+                    return this.parseFunction(annotations);
+                case 'const':
+                    return this.parseConst(annotations);
+                case 'stat':
+                    return this.parseStat(annotations);
+                case 'enum':
+                    return this.parseEnum(annotations);
+                case 'struct':
+                    return this.parseStruct(annotations);
+                case 'event':
+                    return this.parseEvent(annotations);
+                case 'region':
+                case 'menu':
+                case 'scoreboard':
+                    return this.parseSection(annotations);
+                case 'if':
+                    return this.parseIf();
+                case 'while':
+                    return this.parseWhile();
+                case 'for':
+                    return this.parseFor();
+                case 'random':
+                    return this.parseRandom();
+                case 'return':
+                    return this.parseReturn();
+                default:
+                    break;
+            }
+        }
+        if (this.is('{')) return this.parseBlock();
+        if (this.is(';')) {
+            this.next();
+            return null;
+        }
+        if (annotations.length > 0 && topLevel) {
+            this.error('Expected a declaration after the annotation', this.peek());
+        }
+        return this.parseExpressionStatement();
+    }
+
+    parseAnnotations() {
+        const annotations = [];
+        while (this.is('@') && this.isName(1)) {
+            const at = this.next();
+            const nameToken = this.next();
+            let call = { args: [], separators: [], closed: true, openRange: null };
+            let end = nameToken;
+            if (this.is('(') && this.peek().line === nameToken.line) {
+                call = this.parseArguments();
+                end = this.previous();
+            }
+            const range = spanRange(at, end);
+            const { args, separators, closed, openRange } = call;
+            annotations.push({ type: 'Annotation', name: nameToken.value, nameRange: tokenRange(nameToken), args, separators, closed, openRange, range, text: this.text(range) });
+        }
+        return annotations;
+    }
+
+    // Fields shared by all declarations
+    declaration(type, annotations, keyword, nameToken) {
+        const first = annotations.length > 0 ? annotations[0].range.start : tokenRange(keyword).start;
+        return {
+            type,
+            name: nameToken ? nameToken.value : '',
+            nameRange: nameToken ? tokenRange(nameToken) : tokenRange(keyword),
+            annotations,
+            doc: this.docAbove(keyword.line),
+            range: { start: first, end: tokenRange(keyword).end }
+        };
+    }
+
+    expectName(what) {
+        if (this.isName() && !this.atStatementEnd()) return this.next();
+        this.error(`Expected ${what} name`, this.peek());
+        return null;
+    }
+
+    parseFunction(annotations) {
+        const keyword = this.next();
+        const node = this.declaration('Function', annotations, keyword, this.expectName(keyword.value));
+        node.kind = keyword.value;
+        node.params = [];
+        node.returnType = null;
+        node.body = null;
+        if (this.is('(')) node.params = this.parseParams();
+        if ((this.is(':') || this.is('->')) && !this.peek().newline) {
+            this.next();
+            node.returnType = this.parseTypeText();
+        }
+        const signatureRange = { start: tokenRange(keyword).start, end: tokenRange(this.previous()).end };
+        node.signature = this.text(signatureRange);
+        node.signatureRange = signatureRange;
+        if (this.is('{')) node.body = this.parseBlock();
+        node.range.end = this.endAfter(node.body);
+        return node;
+    }
+
+    // '(' name: Type = default, ... ')'
+    parseParams() {
+        const params = [];
+        this.next();
+        this.depth++;
+        while (!this.atEnd() && !this.is(')') && !this.is('{') && !this.atTopLevelDeclaration()) {
+            const before = this.pos;
+            if (this.isName()) {
+                const nameToken = this.next();
+                const param = { type: 'Param', name: nameToken.value, nameRange: tokenRange(nameToken), valueType: null, defaultValue: undefined, defaultExpr: null, range: tokenRange(nameToken) };
+                if (this.accept(':')) param.valueType = this.parseTypeText();
+                if (this.accept('=')) {
+                    param.defaultExpr = this.parseExpression();
+                    param.defaultValue = this.text(param.defaultExpr.range);
+                }
+                param.range = spanRange(nameToken, this.previous());
+                params.push(param);
+            }
+            if (!this.accept(',') && !this.is(')') && this.pos === before) {
+                this.error(`Unexpected '${this.peek().value}' in parameters`, this.next());
+            }
+        }
+        this.depth--;
+        this.expect(')');
+        return params;
+    }
+
+    /**
+     * A type as written: `int`, `[]Item`, `Map<string, int>`, `Vector?`. Stops at
+     * ',', ')', '=', '{', '}' and at the end of the line, outside of brackets.
+     */
+    parseTypeText() {
+        const first = this.peek();
+        let nesting = 0;
+        let last = null;
+        while (!this.atEnd()) {
+            const token = this.peek();
+            if (last && token.newline && nesting === 0 && this.depth === 0) break;
+            if (nesting === 0 && [',', ')', '=', '{', '}', ';'].includes(token.value) && token.type === 'punct') break;
+            if (token.value === '<' || token.value === '[' || token.value === '(') nesting++;
+            if (token.value === '>' || token.value === ']' || token.value === ')') nesting--;
+            if (token.type === 'name') this.typeReferences.push({ name: token.value, range: tokenRange(token) });
+            last = this.next();
+        }
+        if (!last) {
+            this.error('Expected a type', first);
+            return '';
+        }
+        return this.text(spanRange(first, last));
+    }
+
+    parseConst(annotations) {
+        const keyword = this.next();
+        const node = this.declaration('Const', annotations, keyword, this.expectName('constant'));
+        node.valueType = null;
+        node.value = null;
+        if (this.is(':') && !this.atStatementEnd()) {
+            this.next();
+            node.valueType = this.parseTypeText();
+        }
+        if (this.accept('=')) node.value = this.parseExpression();
+        node.range.end = tokenRange(this.previous()).end;
+        node.signature = this.text({ start: tokenRange(keyword).start, end: node.range.end });
+        return node;
+    }
+
+    // stat [player|team|global] ["Team"] name[: Type] [= value]
+    parseStat(annotations) {
+        const keyword = this.next();
+        let namespace = null;
+        let team = null;
+        // A namespace keyword directly followed by ':', '=' or the end of the line is the stat's name
+        if (this.isName() && NAMESPACES.has(this.peek().value) && !this.atStatementEnd()
+            && (this.isName(1) || this.peek(1).type === 'string') && !this.peek(1).newline) {
+            namespace = this.next().value;
+        }
+        if (this.peek().type === 'string' && !this.atStatementEnd()) {
+            const teamToken = this.next();
+            team = teamToken.value.replace(/^"|"$/g, '');
+            namespace = 'team';
+        }
+        const node = this.declaration('Stat', annotations, keyword, this.expectName('stat'));
+        node.namespace = namespace;
+        node.team = team;
+        node.valueType = null;
+        node.value = null;
+        if (this.is(':') && !this.atStatementEnd()) {
+            this.next();
+            node.valueType = this.parseTypeText();
+        }
+        if (this.accept('=')) node.value = this.parseExpression();
+        node.range.end = tokenRange(this.previous()).end;
+        node.signature = this.text({ start: tokenRange(keyword).start, end: node.range.end });
+        return node;
+    }
+
+    parseEnum(annotations) {
+        const keyword = this.next();
+        const node = this.declaration('Enum', annotations, keyword, this.expectName('enum'));
+        node.baseType = null;
+        node.members = [];
+        node.functions = [];
+        if (this.accept(':')) node.baseType = this.parseTypeText();
+        if (this.expect('{')) {
+            while (!this.atEnd() && !this.is('}') && !this.atTopLevelDeclaration()) {
+                const before = this.pos;
+                const memberAnnotations = this.parseAnnotations();
+                if (this.is('fn')) {
+                    node.functions.push(this.parseFunction(memberAnnotations));
+                } else if (this.isName()) {
+                    const nameToken = this.next();
+                    const member = this.declaration('EnumMember', memberAnnotations, nameToken, nameToken);
+                    member.params = this.is('(') && !this.peek().newline ? this.parseParams() : [];
+                    member.value = this.accept('=') ? this.parseExpression() : null;
+                    member.range.end = tokenRange(this.previous()).end;
+                    member.signature = this.text({ start: member.nameRange.start, end: member.range.end });
+                    node.members.push(member);
+                }
+                if (!this.accept(',') && !this.is('}') && this.pos === before) {
+                    this.error(`Unexpected '${this.peek().value}' in enum`, this.next());
+                }
+            }
+            this.expect('}');
+        }
+        node.range.end = tokenRange(this.previous()).end;
+        node.signature = this.text({ start: tokenRange(keyword).start, end: node.range.end });
+        return node;
+    }
+
+    parseStruct(annotations) {
+        const keyword = this.next();
+        const node = this.declaration('Struct', annotations, keyword, this.expectName('struct'));
+        node.typeParams = null;
+        node.fields = [];
+        node.functions = [];
+        if (this.is('<')) {
+            const open = this.peek();
+            while (!this.atEnd() && !this.is('>') && !this.is('{')) this.next();
+            this.expect('>');
+            node.typeParams = this.text(spanRange(open, this.previous()));
+        }
+        if (this.expect('{')) {
+            while (!this.atEnd() && !this.is('}') && !this.atTopLevelDeclaration()) {
+                const before = this.pos;
+                const memberAnnotations = this.parseAnnotations();
+                if (this.is('fn')) {
+                    node.functions.push(this.parseFunction(memberAnnotations));
+                } else if (this.isName()) {
+                    const nameToken = this.next();
+                    const field = this.declaration('Field', memberAnnotations, nameToken, nameToken);
+                    field.valueType = this.accept(':') ? this.parseTypeText() : null;
+                    field.defaultExpr = this.accept('=') ? this.parseExpression() : null;
+                    field.range.end = tokenRange(this.previous()).end;
+                    field.signature = this.text({ start: field.nameRange.start, end: field.range.end });
+                    node.fields.push(field);
+                }
+                if (!this.accept(',') && !this.is('}') && this.pos === before) {
+                    this.error(`Unexpected '${this.peek().value}' in struct`, this.next());
+                }
+            }
+            this.expect('}');
+        }
+        node.range.end = tokenRange(this.previous()).end;
+        node.signature = this.text({ start: tokenRange(keyword).start, end: node.range.end });
+        return node;
+    }
+
+    parseEvent(annotations) {
+        const keyword = this.next();
+        const node = this.declaration('Event', annotations, keyword, this.expectName('event'));
+        node.params = this.is('(') ? this.parseParams() : [];
+        node.body = this.is('{') ? this.parseBlock() : null;
+        node.range.end = this.endAfter(node.body);
+        return node;
+    }
+
+    // region/menu/scoreboard [name | "name"] [(args)] { ... }
+    parseSection(annotations) {
+        const keyword = this.next();
+        const nameToken = (this.isName() || this.peek().type === 'string') && !this.atStatementEnd() ? this.next() : null;
+        const node = this.declaration('Section', annotations, keyword, nameToken);
+        node.keyword = keyword.value;
+        if (nameToken && nameToken.type === 'string') node.name = nameToken.value.replace(/^"|"$/g, '');
+        node.args = this.is('(') ? this.parseArguments().args : [];
+        node.body = this.is('{') ? this.parseBlock() : null;
+        node.range.end = this.endAfter(node.body);
+        return node;
+    }
+
+    // --- statements ---
+
+    parseBlock() {
+        const open = this.next();
+        const node = { type: 'Block', body: [], range: tokenRange(open) };
+        const depth = this.depth;
+        this.depth = 0;
+        while (!this.atEnd() && !this.is('}')) {
+            if (this.atTopLevelDeclaration()) {
+                this.error("Expected '}'", this.peek());
+                break;
+            }
+            const before = this.pos;
+            const statement = this.parseStatement();
+            if (statement) node.body.push(statement);
+            if (this.pos === before) this.error(`Unexpected '${this.peek().value}'`, this.next());
+        }
+        this.depth = depth;
+        const close = this.accept('}');
+        if (!close && this.atEnd()) this.error("Expected '}'", this.peek());
+        // An unclosed block runs up to where parsing stopped
+        node.range = { start: tokenRange(open).start, end: close ? tokenRange(close).end : tokenRange(this.peek()).start };
+        return node;
+    }
+
+    parseIf() {
+        const keyword = this.next();
+        const node = { type: 'If', condition: this.parseExpression(), then: null, else: null, range: tokenRange(keyword) };
+        node.then = this.parseBody();
+        if (this.is('else')) {
+            this.next();
+            node.else = this.is('if') ? this.parseIf() : this.parseBody();
+        }
+        node.range.end = this.endAfter(node.else || node.then);
+        return node;
+    }
+
+    parseWhile() {
+        const keyword = this.next();
+        const node = { type: 'While', condition: this.parseExpression(), body: null, range: tokenRange(keyword) };
+        node.body = this.parseBody();
+        node.range.end = this.endAfter(node.body);
+        return node;
+    }
+
+    // for (init; condition; update) { ... }
+    parseFor() {
+        const keyword = this.next();
+        const node = { type: 'For', init: null, condition: null, update: null, body: null, range: tokenRange(keyword) };
+        const parenthesized = !!this.accept('(');
+        if (parenthesized) this.depth++;
+        if (!this.is(';')) node.init = this.is('stat') ? this.parseStat([]) : this.parseExpression();
+        if (this.accept(';')) {
+            if (!this.is(';')) node.condition = this.parseExpression();
+            if (this.accept(';') && !this.is(')')) node.update = this.parseExpression();
+        }
+        if (parenthesized) {
+            this.depth--;
+            this.expect(')');
+        }
+        node.body = this.parseBody();
+        node.range.end = this.endAfter(node.body);
+        return node;
+    }
+
+    parseRandom() {
+        const keyword = this.next();
+        const node = { type: 'Random', body: this.parseBody(), range: tokenRange(keyword) };
+        node.range.end = this.endAfter(node.body);
+        return node;
+    }
+
+    parseReturn() {
+        const keyword = this.next();
+        const node = { type: 'Return', value: this.atStatementEnd() ? null : this.parseExpression(), range: tokenRange(keyword) };
+        node.range.end = tokenRange(this.previous()).end;
+        return node;
+    }
+
+    // End of a declaration or statement whose last part is `last`
+    endAfter(last) {
+        return last ? last.range.end : tokenRange(this.previous()).end;
+    }
+
+    parseBody() {
+        if (this.is('{')) return this.parseBlock();
+        this.error("Expected '{'", this.peek());
+        return null;
+    }
+
+    parseExpressionStatement() {
+        const first = this.peek();
+        if (this.atEnd() || this.is('}') || this.is(';') || this.atTopLevelDeclaration()) return null;
+        const expression = this.parseExpression();
+        const node = { type: 'ExpressionStatement', expression, block: null, range: expression.range };
+        // Forms we do not know, like `keyword expression { ... }`, keep their block
+        if (this.is('{') && this.peek().line === this.previous().line) {
+            node.block = this.parseBlock();
+            node.range = { start: tokenRange(first).start, end: node.block.range.end };
+        }
+        return node;
+    }
+
+    // --- expressions ---
+
+    parseExpression(minPrecedence = 0) {
+        let left = this.parseUnary();
+        for (;;) {
+            const token = this.peek();
+            const precedence = token.type === 'punct' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence <= minPrecedence - (ASSIGNMENT.has(token.value) ? 1 : 0)) break;
+            if (token.newline && this.depth === 0) break;
+            this.next();
+            // Assignments group to the right
+            const right = this.parseExpression(ASSIGNMENT.has(token.value) ? precedence : precedence + 1);
+            left = {
+                type: ASSIGNMENT.has(token.value) ? 'Assignment' : 'Binary',
+                operator: token.value,
+                left,
+                right,
+                range: { start: left.range.start, end: right.range.end }
+            };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (token.type === 'punct' && ['!', '-', '+', '++', '--'].includes(token.value)) {
+            this.next();
+            const argument = this.parseExpression(UNARY_PRECEDENCE);
+            const type = token.value === '++' || token.value === '--' ? 'Update' : 'Unary';
+            return { type, operator: token.value, argument, prefix: true, range: { start: tokenRange(token).start, end: argument.range.end } };
+        }
+        return this.parsePostfix(this.parsePrimary());
+    }
+
+    parsePostfix(expression) {
+        for (;;) {
+            const token = this.peek();
+            const sameLine = token.line === this.previous().line || this.depth > 0;
+            if (token.type !== 'punct' || !sameLine) return expression;
+            if (token.value === '(' ) {
+                expression = this.parseCall(expression, false);
+            } else if (token.value === '!' && this.is('(', 1) && this.peek(1).start === token.end && expression.type === 'Identifier') {
+                // Macro invocation: name!(...)
+                this.next();
+                expression = this.parseCall(expression, true);
+            } else if (token.value === '.' && this.isName(1)) {
+                this.next();
+                const property = this.next();
+                expression = { type: 'Member', object: expression, property: property.value, propertyRange: tokenRange(property), range: { start: expression.range.start, end: tokenRange(property).end } };
+            } else if (token.value === '[') {
+                this.next();
+                this.depth++;
+                const index = this.is(']') ? null : this.parseExpression();
+                this.depth--;
+                const close = this.expect(']');
+                expression = { type: 'Index', object: expression, index, range: { start: expression.range.start, end: tokenRange(close || this.previous()).end } };
+            } else if (token.value === '++' || token.value === '--') {
+                this.next();
+                expression = { type: 'Update', operator: token.value, argument: expression, prefix: false, range: { start: expression.range.start, end: tokenRange(token).end } };
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    parseCall(callee, macro) {
+        const { args, separators, closed, openRange, end } = this.parseArguments();
+        return { type: 'Call', callee, args, separators, macro, closed, openRange, range: { start: callee.range.start, end } };
+    }
+
+    /**
+     * '(' [name =] value, ... ')'. An unclosed list ends where parsing stopped, at
+     * the start of the next token, so it still contains the cursor while typing.
+     */
+    parseArguments() {
+        const open = this.next();
+        const args = [];
+        const separators = [];
+        this.depth++;
+        while (!this.atEnd() && !this.is(')') && !this.is('{') && !this.is('}') && !this.atTopLevelDeclaration()) {
+            const before = this.pos;
+            if (this.is(',')) {
+                separators.push(tokenRange(this.next()).start);
+                continue;
+            }
+            const first = this.peek();
+            let name = null;
+            let nameRange = null;
+            if (this.isName() && this.is('=', 1)) {
+                name = this.next().value;
+                nameRange = tokenRange(first);
+                this.next();
+            }
+            const value = this.is(',') || this.is(')') ? null : this.parseExpression();
+            args.push({ type: 'Argument', name, nameRange, value, range: { start: tokenRange(first).start, end: tokenRange(this.previous()).end } });
+            if (this.pos === before) this.error(`Unexpected '${this.peek().value}' in arguments`, this.next());
+        }
+        this.depth--;
+        const close = this.accept(')');
+        const end = close ? tokenRange(close).end : tokenRange(this.peek()).start;
+        return { args, separators, closed: !!close, openRange: tokenRange(open), end };
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (token.type === 'number' || token.type === 'char') {
+            this.next();
+            return { type: 'Literal', kind: token.type, value: token.value, range: tokenRange(token) };
+        }
+        if (token.type === 'string') {
+            this.next();
+            const parts = (token.parts || []).map(part => parseInterpolation(part, token.line, this.lines));
+            return { type: 'String', value: token.value, interpolated: !!token.interpolated, terminated: token.terminated, parts, range: tokenRange(token) };
+        }
+        if (token.type === 'name' && !DECLARATION_KEYWORDS.has(token.value)) {
+            this.next();
+            if (LITERAL_NAMES.has(token.value)) return { type: 'Literal', kind: token.value === 'nil' ? 'nil' : 'bool', value: token.value, range: tokenRange(token) };
+            if (this.is('::') && this.isName(1)) {
+                this.next();
+                const member = this.next();
+                return { type: 'Qualified', qualifier: token.value, qualifierRange: tokenRange(token), name: member.value, nameRange: tokenRange(member), range: spanRange(token, member) };
+            }
+            return { type: 'Identifier', name: token.value, range: tokenRange(token) };
+        }
+        if (token.value === '(' && token.type === 'punct') {
+            this.next();
+            this.depth++;
+            const expression = this.is(')') ? null : this.parseExpression();
+            this.depth--;
+            const close = this.expect(')');
+            return { type: 'Group', expression, range: { start: tokenRange(token).start, end: tokenRange(close || this.previous()).end } };
+        }
+        if (token.value === '[' && token.type === 'punct') {
+            // []Type or [a, b]
+            if (this.is(']', 1) && this.isName(2)) {
+                this.next();
+                this.next();
+                const typeToken = this.next();
+                const node = { type: 'ArrayType', text: `[]${typeToken.value}`, elements: [], range: spanRange(token, typeToken) };
+                if (this.is('{') && this.peek().line === typeToken.line) {
+                    const list = this.parseList('{', '}');
+                    node.elements = list.elements;
+                    node.range.end = list.end;
+                }
+                return node;
+            }
+            const list = this.parseList('[', ']');
+            return { type: 'Array', elements: list.elements, range: { start: tokenRange(token).start, end: list.end } };
+        }
+        this.error(token === this.eof ? 'Expected an expression' : `Unexpected '${token.value}'`, token);
+        // Leave tokens that end a statement or a block to the caller
+        if (!this.atStatementEnd() && !['(', ')', ']', ',', '{'].includes(token.value) && !this.atTopLevelDeclaration()) this.next();
+        return { type: 'Error', range: tokenRange(token) };
+    }
+
+    parseList(open, close) {
+        this.next();
+        const elements = [];
+        this.depth++;
+        while (!this.atEnd() && !this.is(close) && !this.atTopLevelDeclaration()) {
+            const before = this.pos;
+            if (!this.accept(',')) elements.push(this.parseExpression());
+            if (this.pos === before) this.error(`Unexpected '${this.peek().value}'`, this.next());
+        }
+        this.depth--;
+        const end = this.expect(close);
+        return { elements, end: tokenRange(end || this.previous()).end };
+    }
+}
+
+// The expression inside `{...}` of an interpolated string
+function parseInterpolation(part, line, lines) {
+    const parser = new Parser(part.tokens, [], lines);
+    parser.depth = 1;
+    const expression = part.tokens.length > 0 ? parser.parseExpression() : null;
+    return { type: 'Interpolation', expression, closed: part.closed, range: { start: { line, character: part.start }, end: { line, character: part.end } } };
+}
+
+/**
+ * Source text of `range`, given the lines of the source.
+ * @param {string[]} lines
+ */
+function sliceLines(lines, range) {
+    const { start, end } = range;
+    if (start.line === end.line) return (lines[start.line] || '').slice(start.character, end.character);
+    const parts = [(lines[start.line] || '').slice(start.character)];
+    for (let line = start.line + 1; line < end.line; line++) parts.push(lines[line] || '');
+    parts.push((lines[end.line] || '').slice(0, end.character));
+    return parts.join('\n');
+}
+
+function tokenRange(token) {
+    return { start: { line: token.line, character: token.start }, end: { line: token.line, character: token.end } };
+}
+
+function spanRange(first, last) {
+    return { start: { line: first.line, character: first.start }, end: { line: last.line, character: last.end } };
+}
+
+/**
+ * Parse HSL source into a Program node.
+ * @param {string} text
+ * @param {{tokens:any[], comments:any[]}} [lexed] tokens of `text`, when already known
+ */
+function parse(text, lexed = tokenize(text)) {
+    const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+    const parser = new Parser(lexed.tokens, lexed.comments, lines);
+    const body = parser.parseProgram();
+    const end = { line: Math.max(0, lines.length - 1), character: (lines[lines.length - 1] || '').length };
+    return { type: 'Program', body, comments: lexed.comments, errors: parser.errors, typeReferences: parser.typeReferences, lines, range: { start: { line: 0, character: 0 }, end } };
+}
+
+module.exports = { parse, sliceLines };
@@ -0,0 +1,111 @@
+const log = require('./log');
+
+/**
+ * Debounces diagnostics checks per key (a project directory).
+ *
+ * Each key has at most one check running and at most one
+ * waiting: requests that arrive while a check is running collapse into a single
+ * follow-up run. A result is only published if no newer request was made for
+ * the same key since the check started; stale results are dropped, and the
+ * running check is asked to stop early through `cancelRunning`.
+ */
+class DiagnosticsScheduler {
+    /**
+     * @param {(key:string) => Promise<any>} check runs the check; resolving to null means "no result"
+     * @param {(key:string, result:any) => void} publish receives results that are still current
+     * @param {(key:string) => void} [cancelRunning] stops the running check of `key`, which then resolves to null
+     */
+    constructor(check, publish, cancelRunning = () => {}) {
+        this.check = check;
+        this.publish = publish;
+        this.cancelRunning = cancelRunning;
+        this.states = new Map(); // key -> { timer, generation, running, rerun }
+        // `rerun` is a deferred follow-up run: { promise, resolve }
+    }
+
+    getState(key) {
+        let state = this.states.get(key);
+        if (!state) {
+            state = { timer: null, generation: 0, running: false, rerun: null };
+            this.states.set(key, state);
+        }
+        return state;
+    }
+
+    /**
+     * Check `key` once nothing was scheduled for it for `delayMs`.
+     */
+    schedule(key, delayMs) {
+        const state = this.getState(key);
+        state.generation++;
+        if (state.timer) clearTimeout(state.timer);
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this.start(key, state);
+        }, Math.max(0, delayMs || 0));
+    }
+
+    /**
+     * Check `key` right away, superseding anything scheduled or running for it.
+     * Resolves once the check (or the follow-up run it turned into) is done.
+     */
+    runNow(key) {
+        const state = this.getState(key);
+        state.generation++;
+        if (state.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
+        }
+        return this.start(key, state);
+    }
+
+    async start(key, state) {
+        if (state.running) {
+            // Only the latest request matters; it runs once the current check is done
+            if (!state.rerun) {
+                let resolve;
+                const promise = new Promise(r => { resolve = r; });
+                state.rerun = { promise, resolve };
+                this.cancelRunning(key);
+            }
+            return state.rerun.promise;
+        }
+        state.running = true;
+        const generation = state.generation;
+        try {
+            const result = await this.check(key);
+            if (this.states.get(key) === state && state.generation === generation && result !== null && result !== undefined) {
+                this.publish(key, result);
+            }
+        } catch (error) {
+            log.error('[HSL Language Server] Diagnostics check failed for', key, error);
+        } finally {
+            state.running = false;
+            const rerun = state.rerun;
+            state.rerun = null;
+            if (rerun) {
+                if (this.states.get(key) === state) {
+                    this.start(key, state).then(rerun.resolve);
+                } else {
+                    rerun.resolve();
+                }
+            }
+        }
+    }
+
+    /**
+     * Forget `key`: pending checks are dropped and a running check will not publish.
+     */
+    cancel(key) {
+        const state = this.states.get(key);
+        if (!state) return;
+        if (state.timer) clearTimeout(state.timer);
+        this.states.delete(key);
+    }
+
+    dispose() {
+        for (const key of Array.from(this.states.keys())) this.cancel(key);
+    }
+}
+
+module.exports = DiagnosticsScheduler;
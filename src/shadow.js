@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Directories that are never mirrored into the shadow copy
+const SKIPPED_DIRS = new Set(['.git', 'node_modules', '.gradle', '.idea', '.vscode']);
+
+/**
+ * Mirror of an HSL project in a temp directory, so the compiler can check
+ * unsaved editor buffers without the real files on disk being touched.
+ *
+ * Files are copied lazily: a file is only re-copied when its mtime/size on disk
+ * changes or when an overlay (unsaved buffer) for it is added or removed.
+ */
+class ShadowProject {
+    constructor(projectDir) {
+        this.projectDir = projectDir;
+        // Unique per instance: servers in other windows may mirror the same project
+        const root = path.join(os.tmpdir(), 'hsl-shadow');
+        fs.mkdirSync(root, { recursive: true });
+        this.shadowDir = fs.mkdtempSync(path.join(root, `${path.basename(projectDir)}-`));
+        this.synced = new Map(); // relative path -> signature of the content last written to the shadow
+    }
+
+    /**
+     * Bring the shadow copy up to date with the project on disk, replacing files
+     * that have an entry in `overlays` (absolute path -> buffer text).
+     */
+    sync(overlays) {
+        const seen = new Set();
+        for (const file of this.listFiles(this.projectDir)) {
+            const rel = path.relative(this.projectDir, file);
+            seen.add(rel);
+            if (overlays.has(file)) {
+                this.writeOverlay(rel, overlays.get(file));
+                continue;
+            }
+            let stats;
+            try {
+                stats = fs.statSync(file);
+            } catch (_) {
+                continue;
+            }
+            const signature = `disk:${stats.mtimeMs}:${stats.size}`;
+            if (this.synced.get(rel) === signature) continue;
+            const target = path.join(this.shadowDir, rel);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(file, target);
+            this.synced.set(rel, signature);
+        }
+
+        // Buffers for files that do not exist on disk yet (e.g. deleted while open)
+        for (const [file, content] of overlays) {
+            if (!this.contains(file)) continue;
+            const rel = path.relative(this.projectDir, file);
+            if (seen.has(rel)) continue;
+            seen.add(rel);
+            this.writeOverlay(rel, content);
+        }
+
+        // Drop files that no longer exist in the real project
+        for (const rel of Array.from(this.synced.keys())) {
+            if (seen.has(rel)) continue;
+            try {
+                fs.unlinkSync(path.join(this.shadowDir, rel));
+            } catch (_) {}
+            this.synced.delete(rel);
+        }
+        return this.shadowDir;
+    }
+
+    writeOverlay(rel, content) {
+        const signature = 'buffer:' + crypto.createHash('sha1').update(content).digest('hex');
+        if (this.synced.get(rel) === signature) return;
+        const target = path.join(this.shadowDir, rel);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content, 'utf8');
+        this.synced.set(rel, signature);
+    }
+
+    listFiles(rootDir) {
+        /** @type {string[]} */
+        const results = [];
+        const stack = [rootDir];
+        while (stack.length) {
+            const dir = stack.pop();
+            let entries;
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (_) {
+                continue;
+            }
+            for (const e of entries) {
+                const abs = path.join(dir, e.name);
+                if (e.isDirectory()) {
+                    if (!SKIPPED_DIRS.has(e.name)) stack.push(abs);
+                } else if (e.isFile()) {
+                    results.push(abs);
+                }
+            }
+        }
+        return results;
+    }
+
+    contains(filePath) {
+        const rel = path.relative(this.projectDir, filePath);
+        return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+    }
+
+    // Map a path reported by the compiler (inside the shadow copy) back to the real project
+    toRealPath(filePath) {
+        if (!filePath) return filePath;
+        const abs = path.isAbsolute(filePath) ? filePath : path.join(this.shadowDir, filePath);
+        const rel = path.relative(this.shadowDir, abs);
+        if (rel.startsWith('..') || path.isAbsolute(rel)) return filePath;
+        return path.join(this.projectDir, rel);
+    }
+
+    dispose() {
+        try {
+            fs.rmSync(this.shadowDir, { recursive: true, force: true });
+        } catch (_) {}
+        this.synced.clear();
+    }
+}
+
+module.exports = ShadowProject;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const cp = require('child_process');
+const { listHslFiles } = require('./text');
+const { parse } = require('./parser');
+const { collectDeclarations } = require('./parser/declarations');
+const log = require('./log');
+
+/**
+ * Declarations of one std file: actions and conditions are its `fn`s, and every
+ * file may declare enums, structs, constants and macros.
+ */
+function indexStdFile(filePath) {
+    return collectDeclarations(parse(fs.readFileSync(filePath, 'utf8')), { filePath });
+}
+
+/**
+ * Annotations declared by a std file: every `fn` is an annotation taking its
+ * parameters, and `@target("fn", "command")` on it names the declarations it may
+ * be placed on. Without `@target` it is allowed on any declaration.
+ */
+function indexAnnotationsFile(filePath) {
+    const ast = parse(fs.readFileSync(filePath, 'utf8'));
+    const { functions } = collectDeclarations(ast, { filePath });
+    const annotations = {};
+    for (const node of ast.body) {
+        if (node.type !== 'Function' || !functions[node.name]) continue;
+        const target = node.annotations.find(a => a.name === 'target');
+        const targets = target
+            ? target.args.map(arg => arg.value && (arg.value.type === 'String' ? arg.value.value.replace(/^"|"$/g, '') : arg.value.name)).filter(Boolean)
+            : null;
+        annotations[node.name] = { ...functions[node.name], targets };
+    }
+    return annotations;
+}
+
+/**
+ * Symbols of the HSL standard library (the hsl-std submodule), shared by every workspace.
+ */
+class StdIndex {
+    /**
+     * @param {string} rootDir the extension root, which holds the hsl-std submodule
+     * @param {string} [stdDir] hsl-std checkout to use instead of the submodule
+     */
+    constructor(rootDir, stdDir) {
+        this.rootDir = rootDir;
+        this.stdDir = stdDir || path.join(rootDir, 'hsl-std');
+        this.isSubmodule = !stdDir;
+        this.actions = {};
+        this.actionsFilePath = '';
+        this.conditions = {};
+        this.conditionsFilePath = '';
+        this.annotations = {}; // name -> { doc, filePath, line, character, signature, params, targets }
+        this.annotationsFilePath = '';
+        this.types = {}; // name -> { kind, doc, signature, filePath, line, character }
+        this.enumMembers = {}; // enumName -> memberName -> { doc, filePath, line, character }
+        this.structFunctions = {}; // structName -> functionName -> { doc, filePath, line, character, signature, params }
+        this.constants = new Map(); // name -> { filePath, line, character, signature, doc }
+        this.macros = new Map(); // name -> { filePath, line, character, signature, doc, params }
+        // Cache for file modification times to avoid re-parsing unchanged files
+        this.fileCache = new Map(); // file path -> { mtime, data }
+        this.triedInit = false;
+        this.resolvePaths();
+    }
+
+    // Prefer submodule std paths with fallback to legacy root files
+    resolvePaths() {
+        const resolveStdPath = (candidates) => {
+            for (const abs of candidates) {
+                if (fs.existsSync(abs)) return abs;
+            }
+            // return first as default even if missing to keep URI stable
+            return candidates[0];
+        };
+        this.actionsFilePath = resolveStdPath([path.join(this.stdDir, 'hypixel', 'actions.hsl'), path.join(this.rootDir, 'actions.hsl')]);
+        this.conditionsFilePath = resolveStdPath([path.join(this.stdDir, 'hypixel', 'conditions.hsl'), path.join(this.rootDir, 'conditions.hsl')]);
+        this.annotationsFilePath = resolveStdPath([path.join(this.stdDir, 'hypixel', 'annotations.hsl'), path.join(this.rootDir, 'annotations.hsl')]);
+    }
+
+    build() {
+        this.resolvePaths();
+        // Parse actions and conditions with caching
+        try {
+            this.actions = fs.existsSync(this.actionsFilePath) ? this.cached(this.actionsFilePath, indexStdFile).functions : {};
+        } catch (err) {
+            log.error('[HSL] Failed to parse actions.hsl:', err);
+            this.actions = {};
+        }
+        try {
+            this.conditions = fs.existsSync(this.conditionsFilePath) ? this.cached(this.conditionsFilePath, indexStdFile).functions : {};
+        } catch (err) {
+            log.error('[HSL] Failed to parse conditions.hsl:', err);
+            this.conditions = {};
+        }
+        try {
+            this.annotations = fs.existsSync(this.annotationsFilePath) ? this.cached(this.annotationsFilePath, indexAnnotationsFile) : {};
+        } catch (err) {
+            log.error('[HSL] Failed to parse annotations.hsl:', err);
+            this.annotations = {};
+        }
+
+        // Rebuild the std types (enums, structs, and enum members), constants and macros with caching
+        this.types = {};
+        this.enumMembers = {};
+        this.structFunctions = {};
+        this.constants = new Map();
+        this.macros = new Map();
+        if (fs.existsSync(this.stdDir)) {
+            for (const file of listHslFiles(this.stdDir)) {
+                // Indexed as annotations above, and cached in that shape
+                if (file === this.annotationsFilePath) continue;
+                try {
+                    const found = this.cached(file, indexStdFile);
+                    Object.assign(this.types, found.types);
+                    Object.assign(this.enumMembers, found.enumMembers);
+                    Object.assign(this.structFunctions, found.structFunctions);
+                    for (const [name, info] of Object.entries(found.constants)) this.constants.set(name, info);
+                    for (const [name, info] of Object.entries(found.macros)) this.macros.set(name, info);
+                } catch (e) {
+                    log.warn('[HSL] Failed to index types in', file, e);
+                }
+            }
+        }
+    }
+
+    cached(filePath, index) {
+        const stats = fs.statSync(filePath);
+        const cached = this.fileCache.get(filePath);
+        if (cached && cached.mtime >= stats.mtimeMs) {
+            return cached.data;
+        }
+        const data = index(filePath);
+        this.fileCache.set(filePath, { mtime: stats.mtimeMs, data });
+        return data;
+    }
+
+    isStdPath(filePath) {
+        return filePath.includes(`${path.sep}hsl-std${path.sep}`) || filePath.startsWith(this.stdDir + path.sep);
+    }
+
+    /**
+     * Attempt to auto-initialize submodules if std files are missing.
+     * Calls `onDone` once git has finished.
+     */
+    ensureSubmodules(onDone) {
+        const stdPathsMissing = !fs.existsSync(this.actionsFilePath) || !fs.existsSync(this.conditionsFilePath);
+        if (!stdPathsMissing || !this.isSubmodule || this.triedInit) return;
+        this.triedInit = true;
+        try {
+            const gitCmd = process.platform === 'win32' ? 'git.exe' : 'git';
+            const child = cp.spawn(gitCmd, ['submodule', 'update', '--init', '--recursive'], {
+                cwd: this.rootDir,
+                stdio: 'ignore'
+            });
+            child.on('error', (e) => log.warn('[HSL] Failed to spawn git to initialize submodules:', e));
+            child.on('close', () => onDone());
+        } catch (e) {
+            log.warn('[HSL] Failed to spawn git to initialize submodules:', e);
+        }
+    }
+
+    /**
+     * Watch the std files and rebuild on change.
+     * @returns {{dispose: () => void}[]}
+     */
+    watch(onChange) {
+        const disposables = [];
+        // Watch for changes to actions.hsl and conditions.hsl to refresh index
+        for (const file of [this.actionsFilePath, this.conditionsFilePath]) {
+            if (fs.existsSync(file)) {
+                const watcher = fs.watch(file, { persistent: false }, () => onChange());
+                disposables.push({ dispose: () => watcher.close() });
+            } else {
+                log.warn('[HSL]', path.basename(file), 'not found at', file);
+            }
+        }
+
+        // Watch std directory for changes
+        if (fs.existsSync(this.stdDir)) {
+            try {
+                const watcherStd = fs.watch(this.stdDir, { persistent: false, recursive: true }, () => onChange());
+                disposables.push({ dispose: () => watcherStd.close() });
+            } catch (_) {
+                // Fallback: non-recursive watch, rebuild on top-level change
+                try {
+                    const watcherStd2 = fs.watch(this.stdDir, { persistent: false }, () => onChange());
+                    disposables.push({ dispose: () => watcherStd2.close() });
+                } catch (_) {}
+            }
+        }
+        return disposables;
+    }
+}
+
+module.exports = { StdIndex };
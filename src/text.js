@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { URI } = require('vscode-uri');
+const { parseDocument, functionBlocks, blockAt } = require('./parser');
+
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/;
+
+/**
+ * Deprecation note of a declaration, from a `@deprecated` annotation or a doc
+ * line starting with "Deprecated". Returns null when it is not deprecated.
+ */
+function deprecationOf(doc, annotations) {
+    for (const annotation of annotations || []) {
+        const m = /^@deprecated\b(?:\s*\(\s*"?([^")]*)"?\s*\))?/.exec(annotation);
+        if (m) return (m[1] || '').trim();
+    }
+    for (const line of (doc || '').split('\n')) {
+        const m = /^@?deprecated\b[:\s]*(.*)$/i.exec(line.trim());
+        if (m) return m[1].trim();
+    }
+    return null;
+}
+
+/**
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document
+ * @returns {string[]}
+ */
+function getLines(document) {
+    return document.getText().split(/\r?\n/);
+}
+
+function getLineText(document, line) {
+    return getLines(document)[line] || '';
+}
+
+/**
+ * Range of the `regex` match on `lineText` that touches `character`, like
+ * VS Code's TextDocument.getWordRangeAtPosition.
+ */
+function getWordRangeOnLine(lineText, line, character, regex = IDENTIFIER) {
+    const global = new RegExp(regex.source, 'g');
+    let m;
+    while ((m = global.exec(lineText)) !== null) {
+        if (m[0].length === 0) {
+            global.lastIndex++;
+            continue;
+        }
+        const start = m.index;
+        const end = start + m[0].length;
+        if (character >= start && character <= end) {
+            return { start: { line, character: start }, end: { line, character: end } };
+        }
+        if (start > character) break;
+    }
+    return null;
+}
+
+/**
+ * Simple word extraction respecting HSL identifiers
+ */
+function getWordAtPosition(document, position) {
+    const lineText = getLineText(document, position.line);
+    const range = getWordRangeOnLine(lineText, position.line, position.character);
+    if (!range) return { text: '', range: null };
+    return { text: lineText.slice(range.start.character, range.end.character), range };
+}
+
+// Extract possibly qualified token like Enum::Member
+function getPossiblyQualifiedToken(document, position) {
+    const lineText = getLineText(document, position.line);
+    const regex = /([A-Za-z_][A-Za-z0-9_]*)\s*::\s*([A-Za-z_][A-Za-z0-9_]*)/g;
+    let m;
+    while ((m = regex.exec(lineText)) !== null) {
+        const lhsStart = m.index;
+        const lhsEnd = lhsStart + m[1].length;
+        const rhsStart = m.index + m[0].length - m[2].length;
+        const rhsEnd = rhsStart + m[2].length;
+        const ch = position.character;
+        if (ch >= rhsStart && ch <= rhsEnd) {
+            return { fullToken: m[0], lhs: m[1], rhs: m[2], inRhs: true, inLhs: false };
+        }
+        if (ch >= lhsStart && ch <= lhsEnd) {
+            return { fullToken: m[0], lhs: m[1], rhs: m[2], inRhs: false, inLhs: true };
+        }
+        if (ch > lhsEnd && ch < rhsEnd) {
+            // Hovering the '::' separator or spaces defaults to member context
+            return { fullToken: m[0], lhs: m[1], rhs: m[2], inRhs: true, inLhs: false };
+        }
+    }
+    // Detect pattern 'Enum::' with no member typed yet (cursor after ::)
+    // This handles both end-of-line and before other characters like parentheses
+    const pending = /([A-Za-z_][A-Za-z0-9_]*)\s*::\s*$/.exec(lineText.slice(0, position.character));
+    if (pending) {
+        return { fullToken: pending[0], lhs: pending[1], rhs: '', inRhs: true, inLhs: false, pendingRhs: true };
+    }
+    const range = getWordRangeOnLine(lineText, position.line, position.character);
+    if (!range) return { fullToken: '', lhs: '', rhs: '', inRhs: false, inLhs: false };
+    const word = lineText.slice(range.start.character, range.end.character);
+    return { fullToken: word, lhs: '', rhs: '', inRhs: false, inLhs: false };
+}
+
+function containerKey(block) {
+    return block ? `${block.kind}:${block.name}:${block.bodyStart}-${block.bodyEnd}` : '';
+}
+
+/**
+ * The declaration a stat name on `lineNumber` refers to.
+ * @param {any[]} [blocks] functionBlocks of the document, when the caller has them
+ */
+function chooseStatForPosition(document, lineNumber, statDecls, blocks) {
+    if (!Array.isArray(statDecls) || statDecls.length === 0) return null;
+    // If only one, return it
+    if (statDecls.length === 1) return statDecls[0];
+    return chooseStatInContainer(document.uri, containerKey(blockAt(blocks || functionBlocks(parseDocument(document)), lineNumber)), statDecls);
+}
+
+/**
+ * The declaration a stat name used in the container `currentContainer` (a
+ * containerKey, '' at file level) of the file `uri` refers to.
+ */
+function chooseStatInContainer(uri, currentContainer, statDecls) {
+    if (currentContainer) {
+        const sameScope = statDecls.filter(d => d.container === currentContainer && d.uri === uri);
+        if (sameScope.length > 0) return sameScope[0];
+    }
+    // Otherwise, prefer file-level stat without a container (global scope within file)
+    const fileLevel = statDecls.filter(d => (!d.container || d.container === '') && d.uri === uri);
+    if (fileLevel.length > 0) return fileLevel[0];
+    // Fallback to any declaration in same file
+    const sameFile = statDecls.filter(d => d.uri === uri);
+    if (sameFile.length > 0) return sameFile[0];
+    // Otherwise a file-level stat of another file rather than a local of some function
+    return statDecls.find(d => !d.container) || statDecls[0];
+}
+
+/**
+ * Placeholder value inserted for a named argument of the given type.
+ * @param {(name:string) => Record<string, any>|undefined} getEnumMembers
+ */
+function defaultValueForType(typeText, explicitDefault, getEnumMembers) {
+    if (explicitDefault !== undefined) return explicitDefault;
+    const t = typeText.trim();
+    // simple kinds
+    if (/\bstring\b/i.test(t)) return '""';
+    if (/\b(int|u\d+|float|double)\b/i.test(t)) return '0';
+    if (/\bbool\b/i.test(t)) return 'false';
+    // enum reference like Time or Location
+    const enumMatch = /^([A-Z][A-Za-z0-9_]*)\b/.exec(t);
+    const members = enumMatch ? getEnumMembers(enumMatch[1]) : undefined;
+    if (members) {
+        const firstMember = Object.keys(members)[0];
+        if (firstMember) return `${enumMatch[1]}::${firstMember}`;
+    }
+    // struct with constructor-like notation Vector or Vector[] etc.
+    const structMatch = /^([A-Z][A-Za-z0-9_]*)\b/.exec(t);
+    if (structMatch) return structMatch[1];
+    return '';
+}
+
+function fileUri(filePath) {
+    return URI.file(filePath).toString();
+}
+
+function uriToPath(uri) {
+    return URI.parse(uri).fsPath;
+}
+
+// Zero-width location at a symbol's declaration
+function symbolLocation(uri, line, character) {
+    const position = { line, character: character || 0 };
+    return { uri, range: { start: position, end: position } };
+}
+
+/**
+ * Recursively list files below `rootDir` whose name passes `match`, skipping
+ * directories named in `skipDirs`.
+ * @param {string} rootDir
+ * @param {(name:string) => boolean} match
+ */
+function listFiles(rootDir, match, skipDirs = new Set(), limit = Infinity) {
+    /** @type {string[]} */
+    const results = [];
+    const stack = [rootDir];
+    while (stack.length && results.length < limit) {
+        const dir = stack.pop();
+        if (!dir) continue;
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (_) {
+            continue;
+        }
+        for (const e of entries) {
+            const abs = path.join(dir, e.name);
+            if (e.isDirectory()) {
+                if (!skipDirs.has(e.name)) stack.push(abs);
+            } else if (e.isFile() && match(e.name)) {
+                results.push(abs);
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Recursively list .hsl files below `rootDir`, skipping directories named in `skipDirs`.
+ */
+function listHslFiles(rootDir, skipDirs = new Set(), limit = Infinity) {
+    return listFiles(rootDir, name => name.endsWith('.hsl'), skipDirs, limit);
+}
+
+module.exports = {
+    IDENTIFIER,
+    deprecationOf,
+    getLines,
+    getLineText,
+    getWordRangeOnLine,
+    getWordAtPosition,
+    getPossiblyQualifiedToken,
+    containerKey,
+    chooseStatForPosition,
+    chooseStatInContainer,
+    defaultValueForType,
+    fileUri,
+    uriToPath,
+    symbolLocation,
+    listFiles,
+    listHslFiles
+};
@@ -0,0 +1,163 @@
+const { parse } = require('./parser');
+const { collectDeclarations } = require('./parser/declarations');
+const { containerKey, chooseStatInContainer } = require('./text');
+const { blockAt } = require('./parser');
+
+/**
+ * Symbols declared in the user's .hsl files, layered over the std library index.
+ *
+ * Locations are stored with the document URI (a string) so they can be handed to
+ * the client as-is.
+ */
+class WorkspaceIndex {
+    /**
+     * @param {import('./std-index').StdIndex} std
+     */
+    constructor(std) {
+        this.std = std;
+        this.constants = new Map(); // name -> { uri, line, character, signature, doc }
+        this.functions = new Map(); // name -> { uri, line, character, signature, doc, params, returnType }
+        this.macros = new Map(); // name -> { uri, line, character, signature, doc, params }
+        this.stats = new Map(); // name -> Array<{ uri, line, character, namespace, team, valueType, value, signature, doc, container }>
+        // User-declared enums and structs, same shapes as the std indexes
+        this.types = {};
+        this.enumMembers = {};
+        this.structFunctions = {};
+        this.fileToSymbols = new Map(); // uri -> { constants:Set<string>, functions:Set<string>, macros:Set<string>, stats:Array<{namespace,name,line,character}>, types:Set<string>, identifiers:Map<string, Array<{line,character,write}>>, blocks:any[] }
+    }
+
+    clear() {
+        this.constants.clear();
+        this.functions.clear();
+        this.macros.clear();
+        this.stats.clear();
+        this.types = {};
+        this.enumMembers = {};
+        this.structFunctions = {};
+        this.fileToSymbols.clear();
+    }
+
+    // Lookups that prefer user declarations and fall back to the std library
+    getType(name) {
+        return this.types[name] || this.std.types[name];
+    }
+
+    getEnumMembers(name) {
+        return this.enumMembers[name] || this.std.enumMembers[name];
+    }
+
+    getStructFunctions(name) {
+        return this.structFunctions[name] || this.std.structFunctions[name];
+    }
+
+    allTypes() {
+        return Object.entries({ ...this.std.types, ...this.types });
+    }
+
+    allEnumMembers() {
+        return Object.entries({ ...this.std.enumMembers, ...this.enumMembers });
+    }
+
+    allStructFunctions() {
+        return Object.entries({ ...this.std.structFunctions, ...this.structFunctions });
+    }
+
+    // Whether `name` appears anywhere in the workspace other than where a stat of that name is declared
+    isIdentifierUsed(name) {
+        for (const symbols of this.fileToSymbols.values()) {
+            if (symbols.identifiers.has(name)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * How many places across the project write (`=`, `+=`, `++`, ...) and read the
+     * stat `declaration` of `name`, from the identifiers recorded per file.
+     * @returns {{writes:number, reads:number}}
+     */
+    statUsages(name, declaration) {
+        const declarations = this.stats.get(name) || [];
+        const usages = { writes: 0, reads: 0 };
+        for (const [uri, symbols] of this.fileToSymbols) {
+            const uses = symbols.identifiers.get(name);
+            if (!uses) continue;
+            const resolved = new Map(); // container key -> chosen declaration
+            for (const use of uses) {
+                if (declarations.length > 1) {
+                    // Keep the uses that resolve to the same stat, one lookup per enclosing fn/macro
+                    const key = containerKey(blockAt(symbols.blocks, use.line));
+                    if (!resolved.has(key)) resolved.set(key, chooseStatInContainer(uri, key, declarations));
+                    if (resolved.get(key) !== declaration) continue;
+                }
+                if (use.write) usages.writes++;
+                else usages.reads++;
+            }
+        }
+        return usages;
+    }
+
+    removeUri(uri) {
+        const prev = this.fileToSymbols.get(uri);
+        if (!prev) return;
+        // remove symbols from global maps
+        for (const name of prev.constants) this.constants.delete(name);
+        for (const name of prev.functions) this.functions.delete(name);
+        for (const name of prev.macros) this.macros.delete(name);
+        for (const s of prev.stats) {
+            const arr = this.stats.get(s.name);
+            if (arr) {
+                const remaining = arr.filter(x => x.uri !== uri || x.line !== s.line);
+                if (remaining.length === 0) this.stats.delete(s.name);
+                else this.stats.set(s.name, remaining);
+            }
+        }
+        // Remove enums/structs and their members previously indexed from this file
+        for (const name of prev.types) {
+            const t = this.types[name];
+            if (t && t.uri === uri) {
+                delete this.types[name];
+                delete this.enumMembers[name];
+                delete this.structFunctions[name];
+            }
+        }
+        this.fileToSymbols.delete(uri);
+    }
+
+    /**
+     * (Re-)index the symbols declared in one document.
+     * @param {string} uri
+     * @param {string} text
+     * @param {string} filePath file system path of the document
+     * @param {any} [ast] the parsed text, when the caller already has it
+     */
+    indexText(uri, text, filePath, ast = parse(text)) {
+        // Remove old symbols from this file first
+        this.removeUri(uri);
+
+        const found = collectDeclarations(ast, { uri, filePath });
+        const fileSymbols = {
+            constants: new Set(Object.keys(found.constants)),
+            functions: new Set(Object.keys(found.functions)),
+            macros: new Set(Object.keys(found.macros)),
+            stats: found.stats.map(s => ({ namespace: s.namespace, name: s.name, line: s.line, character: s.character })),
+            types: new Set(Object.keys(found.types)),
+            identifiers: found.identifiers,
+            blocks: found.blocks
+        };
+        for (const [name, entry] of Object.entries(found.constants)) this.constants.set(name, entry);
+        for (const [name, entry] of Object.entries(found.functions)) this.functions.set(name, entry);
+        for (const [name, entry] of Object.entries(found.macros)) this.macros.set(name, entry);
+        for (const { name, ...entry } of found.stats) {
+            const existing = this.stats.get(name) || [];
+            existing.push(entry);
+            this.stats.set(name, existing);
+        }
+        Object.assign(this.types, found.types);
+        Object.assign(this.enumMembers, found.enumMembers);
+        Object.assign(this.structFunctions, found.structFunctions);
+
+        this.fileToSymbols.set(uri, fileSymbols);
+    }
+}
+
+module.exports = WorkspaceIndex;
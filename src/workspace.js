@@ -0,0 +1,157 @@
+const path = require('path');
+const HSLCompiler = require('./compiler');
+const WorkspaceIndex = require('./workspace-index');
+
+/**
+ * The folders open in the editor, with a compiler per folder and a symbol index
+ * per HSL project, so projects of a multi-root workspace do not see each other's
+ * symbols.
+ *
+ * A project is a directory containing a build.toml. Files outside of any project
+ * share the index of their workspace folder, and files outside of every folder
+ * share one more index and compiler (keyed '').
+ */
+class Workspace {
+    /**
+     * @param {import('./std-index').StdIndex} std
+     */
+    constructor(std) {
+        this.std = std;
+        this.folders = []; // file system paths, longest first so nested folders win
+        this.compilers = new Map(); // folder path or '' -> HSLCompiler
+        this.indexes = new Map(); // project dir, folder path or '' -> WorkspaceIndex
+        this.projectRoots = new Map(); // directory -> project dir or null
+        this.overlays = new Map(); // unsaved buffers, shared by all compilers
+        this.compilerSettings = new Map(); // folder path or '' -> hsl.compiler.* settings
+        this.onCompilerStatus = null; // (folder, status) => void
+    }
+
+    /**
+     * Start using a workspace folder. Its compiler looks for a JAR inside the folder.
+     * @returns {HSLCompiler}
+     */
+    addFolder(folder) {
+        folder = path.normalize(folder);
+        if (!this.folders.includes(folder)) {
+            this.folders.push(folder);
+            this.folders.sort((a, b) => b.length - a.length);
+        }
+        // Files of the new folder may have been in another scope before
+        this.indexes.clear();
+        return this.getCompiler(folder);
+    }
+
+    /**
+     * Stop using a workspace folder: its compiler is shut down and its indexes dropped.
+     */
+    removeFolder(folder) {
+        folder = path.normalize(folder);
+        this.folders = this.folders.filter(f => f !== folder);
+        const compiler = this.compilers.get(folder);
+        this.compilers.delete(folder);
+        this.indexes.clear();
+        return compiler ? compiler.dispose() : Promise.resolve();
+    }
+
+    /**
+     * Use new hsl.compiler.* settings for a folder ('' for files outside all folders).
+     */
+    configureCompiler(folder, settings) {
+        this.compilerSettings.set(folder, settings);
+        const compiler = this.compilers.get(folder);
+        if (compiler) compiler.configure(settings);
+    }
+
+    getCompiler(folder) {
+        let compiler = this.compilers.get(folder);
+        if (!compiler) {
+            compiler = new HSLCompiler(this.overlays);
+            compiler.onStatusChange = (status) => {
+                if (this.onCompilerStatus) this.onCompilerStatus(folder, status);
+            };
+            this.compilers.set(folder, compiler);
+            compiler.configure(this.compilerSettings.get(folder) || this.compilerSettings.get('') || {});
+            compiler.initialize(folder || null);
+        }
+        return compiler;
+    }
+
+    // Workspace folder containing `filePath`, or '' when it is outside all of them
+    folderFor(filePath) {
+        const normalized = path.normalize(filePath);
+        for (const folder of this.folders) {
+            if (normalized === folder || normalized.startsWith(folder + path.sep)) return folder;
+        }
+        return '';
+    }
+
+    // Directory with the build.toml that `filePath` belongs to, or null
+    projectFor(filePath) {
+        const dir = path.dirname(path.normalize(filePath));
+        if (!this.projectRoots.has(dir)) this.projectRoots.set(dir, HSLCompiler.findProjectRoot(dir));
+        return this.projectRoots.get(dir);
+    }
+
+    // Call when build.toml files were added or removed
+    forgetProjects() {
+        this.projectRoots.clear();
+        this.clearIndexes();
+    }
+
+    clearIndexes() {
+        this.indexes.clear();
+    }
+
+    /**
+     * Compiler that checks files under `filePath`, which may be a project directory.
+     * A project that contains a whole workspace folder uses that folder's compiler.
+     */
+    compilerFor(filePath) {
+        let folder = this.folderFor(filePath);
+        if (!folder) {
+            const normalized = path.normalize(filePath);
+            folder = this.folders.find(f => f.startsWith(normalized + path.sep)) || '';
+        }
+        return this.getCompiler(folder);
+    }
+
+    /**
+     * Symbol index of the project that owns `filePath`.
+     * @returns {WorkspaceIndex}
+     */
+    indexFor(filePath) {
+        const scope = this.projectFor(filePath) || this.folderFor(filePath);
+        let index = this.indexes.get(scope);
+        if (!index) {
+            index = new WorkspaceIndex(this.std);
+            this.indexes.set(scope, index);
+        }
+        return index;
+    }
+
+    allIndexes() {
+        return Array.from(this.indexes.values());
+    }
+
+    allCompilers() {
+        return Array.from(this.compilers.values());
+    }
+
+    setOverlay(filePath, content) {
+        this.overlays.set(path.normalize(filePath), content);
+    }
+
+    clearOverlay(filePath) {
+        this.overlays.delete(path.normalize(filePath));
+    }
+
+    dispose() {
+        const compilers = this.allCompilers();
+        this.compilers.clear();
+        this.indexes.clear();
+        this.overlays.clear();
+        return Promise.all(compilers.map(compiler => compiler.dispose()));
+    }
+}
+
+module.exports = Workspace;
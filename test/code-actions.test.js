@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const { StdIndex } = require('../src/std-index');
+const WorkspaceIndex = require('../src/workspace-index');
+const { provideCodeActions } = require('../src/features/code-actions');
+
+const URI = 'file:///project/main.hsl';
+
+function setUp(lines) {
+    const text = lines.join('\n');
+    const std = new StdIndex(__dirname, path.join(__dirname, 'no-std'));
+    const index = new WorkspaceIndex(std);
+    index.indexText(URI, text, '/project/main.hsl');
+    return { index, document: TextDocument.create(URI, 'hsl-source', 1, text) };
+}
+
+function actionsFor(lines, code, line, character) {
+    const { index, document } = setUp(lines);
+    const diagnostic = { range: { start: { line, character }, end: { line, character: character + 1 } }, code, message: '' };
+    return provideCodeActions(index, document, { diagnostics: [diagnostic] }).map((action) => {
+        const [edit] = action.edit.changes[URI];
+        return { title: action.title, newText: edit.newText };
+    });
+}
+
+const GIVE = 'fn give(item: string, amount: int, slot: int = 0) {}';
+
+test('an unknown variable can be declared as a stat', () => {
+    const actions = actionsFor(['fn main() {', '    kills = 1', '}'], 'E0002', 1, 4);
+    assert.deepStrictEqual(actions.map(a => a.title), ["Declare player stat 'kills'", "Declare team stat 'kills'", "Declare global stat 'kills'"]);
+    assert.deepStrictEqual(actions.map(a => a.newText), ['stat player kills\n\n', 'stat team "Team" kills\n\n', 'stat global kills\n\n']);
+});
+
+test('an unknown function gets the closest known names', () => {
+    const actions = actionsFor([GIVE, 'fn main() {', '    gvie("x", 1)', '}'], 'E0003', 2, 4);
+    assert.deepStrictEqual(actions, [{ title: "Did you mean 'give'?", newText: 'give' }]);
+});
+
+test('fixes are chosen by the code of the diagnostic', () => {
+    const lines = [GIVE, 'fn main() {', '    gvie("x", 1)', '    kills = 1', '}'];
+    assert.deepStrictEqual(actionsFor(lines, 'E0002', 2, 4), [], 'a call is not declared as a stat');
+    assert.deepStrictEqual(actionsFor(lines, 'E0003', 3, 4), [], 'a variable is not replaced by a function');
+    assert.deepStrictEqual(actionsFor(lines, 'E0001', 2, 4), [], 'other compiler errors have no fixes');
+    assert.deepStrictEqual(actionsFor([GIVE, 'fn main() {', '    give()', '}'], 'E0002', 2, 4), [], 'missing arguments need their own code');
+    // The server's unknown-name diagnostics get both kinds
+    assert.strictEqual(actionsFor(lines, 'unknown-name', 2, 4)[0].title, "Did you mean 'give'?");
+    assert.strictEqual(actionsFor(lines, 'unknown-name', 3, 4)[0].title, "Declare player stat 'kills'");
+});
+
+test('missing arguments are the required parameters no argument binds', () => {
+    const missing = (call) => actionsFor([GIVE, 'fn main() {', `    ${call}`, '}'], 'E0004', 2, 4);
+    assert.deepStrictEqual(missing('give()').map(a => a.title), ["Add missing argument 'item'", 'Add all missing arguments']);
+    assert.deepStrictEqual(missing('give()')[1].newText, 'item = "", amount = 0');
+    assert.deepStrictEqual(missing('give("x")'), [{ title: "Add missing argument 'amount'", newText: ', amount = 0' }]);
+    // Positional arguments take the parameters not named, in order
+    assert.deepStrictEqual(missing('give(item = "x", 2)'), []);
+    assert.deepStrictEqual(missing('give(2, item = "x")'), []);
+    assert.deepStrictEqual(missing('give(amount = 2, "x")'), []);
+    assert.deepStrictEqual(missing('give(slot = 1, "x")').map(a => a.title), ["Add missing argument 'amount'"]);
+    assert.deepStrictEqual(missing('give("x", 2)'), []);
+});
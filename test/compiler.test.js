@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HSLCompiler = require('../src/compiler');
+const log = require('../src/log');
+
+log.setLogLevel('off');
+
+let tmp;
+let project;
+let javaHome;
+let jarPath;
+const compilers = [];
+
+before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'hsl-compiler-test-'));
+    // The fake daemon stands in for `java -jar hsl.jar daemon`
+    javaHome = path.join(tmp, 'java');
+    fs.mkdirSync(path.join(javaHome, 'bin'), { recursive: true });
+    fs.symlinkSync(path.join(__dirname, 'fake-daemon.js'), path.join(javaHome, 'bin', 'java'));
+    jarPath = path.join(tmp, 'hsl.jar');
+    fs.writeFileSync(jarPath, '');
+
+    project = path.join(tmp, 'project');
+    fs.mkdirSync(project);
+    fs.writeFileSync(path.join(project, 'build.toml'), 'name = "test"\n');
+    fs.writeFileSync(path.join(project, 'main.hsl'), 'fn main() {\n    ERROR_HERE\n}\n');
+});
+
+after(async () => {
+    await Promise.all(compilers.map(compiler => compiler.dispose()));
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// A compiler whose daemon is started with the fake daemon `flags`
+async function fakeCompiler(flags = [], settings = {}) {
+    const compiler = new HSLCompiler();
+    compilers.push(compiler);
+    compiler.configure({ javaHome, jarPath, jvmArgs: flags, ...settings });
+    await compiler.initialize(tmp);
+    return compiler;
+}
+
+test('a project is checked through the daemon', async () => {
+    const compiler = await fakeCompiler();
+    const [diagnostic] = await compiler.checkProject(project);
+    assert.strictEqual(diagnostic.message, 'error[E0001]: Fake error');
+    assert.strictEqual(diagnostic.filePath, path.join(project, 'main.hsl'));
+    assert.deepStrictEqual(diagnostic.range.start, { line: 1, character: 4 });
+});
+
+test('a check is run again when the daemon crashes during it', async () => {
+    const marker = path.join(tmp, 'crash');
+    fs.writeFileSync(marker, '');
+    const compiler = await fakeCompiler([`--crash-once=${marker}`]);
+    const diagnostics = await compiler.checkProject(project);
+    assert.strictEqual(fs.existsSync(marker), false, 'the daemon crashed');
+    assert.strictEqual(diagnostics.length, 1);
+    assert.strictEqual(diagnostics[0].message, 'error[E0001]: Fake error');
+});
+
+test('cancelCheck stops the running check of a project', async () => {
+    const compiler = await fakeCompiler(['--delay=2000']);
+    const check = compiler.checkProject(project);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    compiler.cancelCheck(project);
+    compiler.cancelCheck(path.join(tmp, 'other'));
+    assert.strictEqual(await check, null);
+    const received = await compiler.daemon.request('received', {});
+    assert.deepStrictEqual(received.map(m => m.method), ['diagnostics', 'cancel']);
+});
+
+test('a check that times out is not run again without the daemon', async () => {
+    const compiler = await fakeCompiler(['--delay=3000'], { timeoutMs: 1000 });
+    let directRuns = 0;
+    compiler.runCompilerOnce = async () => {
+        directRuns++;
+        return [];
+    };
+    assert.deepStrictEqual(await compiler.checkProject(project), []);
+    assert.strictEqual(directRuns, 0);
+});
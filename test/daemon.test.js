@@ -0,0 +1,165 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { CompilerDaemon, RequestCancelledError, DaemonExitedError } = require('../src/daemon');
+const log = require('../src/log');
+
+log.setLogLevel('off');
+
+const FAKE_DAEMON = path.join(__dirname, 'fake-daemon.js');
+
+let daemons = [];
+
+function fakeDaemon(flags = [], options = {}) {
+    const daemon = new CompilerDaemon({ command: process.execPath, args: [FAKE_DAEMON, ...flags], restartDelayMs: 20, ...options });
+    daemons.push(daemon);
+    return daemon;
+}
+
+function until(condition, timeoutMs = 5000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (condition()) resolve();
+            else if (Date.now() - started > timeoutMs) reject(new Error('Timed out waiting for condition'));
+            else setTimeout(poll, 10);
+        };
+        poll();
+    });
+}
+
+afterEach(async () => {
+    await Promise.all(daemons.map(daemon => daemon.dispose(500)));
+    daemons = [];
+});
+
+test('start resolves once the daemon reports ready, with its version', async () => {
+    const daemon = fakeDaemon(['--version=1.2.3']);
+    assert.strictEqual(daemon.isReady, false);
+    await daemon.start();
+    assert.strictEqual(daemon.isReady, true);
+    assert.strictEqual(daemon.version, '1.2.3');
+    assert.strictEqual(daemon.start(), daemon.ready, 'a second start reuses the running daemon');
+});
+
+test('a request superseded before it was sent is never written', async () => {
+    const daemon = fakeDaemon();
+    const first = daemon.request('diagnostics', { result: 'first' }, { key: '/project' });
+    const second = daemon.request('diagnostics', { result: 'second' }, { key: '/project' });
+    await assert.rejects(first, RequestCancelledError);
+    assert.strictEqual(await second, 'second');
+    const received = await daemon.request('received', {});
+    assert.deepStrictEqual(received.map(m => m.params && m.params.result).filter(Boolean), ['second']);
+});
+
+test('requests wait for the ready handshake', async () => {
+    const daemon = fakeDaemon();
+    // Sent before start(): the request starts the daemon and is written once it is ready
+    const result = await daemon.request('diagnostics', { result: ['early'] });
+    assert.deepStrictEqual(result, ['early']);
+});
+
+test('responses are matched to their requests by id', async () => {
+    const daemon = fakeDaemon();
+    const slow = daemon.request('diagnostics', { result: 'slow', delayMs: 150 });
+    const fast = daemon.request('diagnostics', { result: 'fast' });
+    assert.strictEqual(await fast, 'fast');
+    assert.strictEqual(await slow, 'slow');
+    await assert.rejects(daemon.request('unknown', {}), /Unknown method 'unknown'/);
+    assert.strictEqual(daemon.pending.size, 0);
+});
+
+test('a newer request with the same key cancels the older one', async () => {
+    const daemon = fakeDaemon();
+    await daemon.start();
+    const first = daemon.request('diagnostics', { result: 'first', delayMs: 200 }, { key: '/project' });
+    const other = daemon.request('diagnostics', { result: 'other', delayMs: 50 }, { key: '/other' });
+    await until(() => daemon.pending.size === 2);
+    const second = daemon.request('diagnostics', { result: 'second' }, { key: '/project' });
+    await assert.rejects(first, RequestCancelledError);
+    assert.strictEqual(await second, 'second');
+    assert.strictEqual(await other, 'other', 'requests with other keys are not affected');
+
+    const received = await daemon.request('received', {});
+    const cancels = received.filter(m => m.method === 'cancel');
+    assert.strictEqual(cancels.length, 1);
+    assert.strictEqual(cancels[0].params.id, received.find(m => m.params && m.params.result === 'first').id);
+});
+
+test('cancelKey cancels the newest request of a key', async () => {
+    const daemon = fakeDaemon();
+    // Still waiting for the daemon to come up: it is never sent
+    const early = daemon.request('diagnostics', { result: 'early' }, { key: '/project' });
+    daemon.cancelKey('/project');
+    await assert.rejects(early, RequestCancelledError);
+
+    const pending = daemon.request('diagnostics', { result: 'late', delayMs: 1000 }, { key: '/project' });
+    await until(() => daemon.pending.size === 1);
+    daemon.cancelKey('/project');
+    daemon.cancelKey('/other');
+    await assert.rejects(pending, RequestCancelledError);
+
+    const received = await daemon.request('received', {});
+    assert.deepStrictEqual(received.map(m => m.method), ['diagnostics', 'cancel']);
+    assert.strictEqual(received[0].params.result, 'late');
+});
+
+test('pending requests are rejected when the daemon crashes', async () => {
+    const daemon = fakeDaemon();
+    await daemon.start();
+    const pending = daemon.request('diagnostics', { result: 'never', delayMs: 1000 });
+    daemon.request('crash', {}).catch(() => {});
+    await assert.rejects(pending, DaemonExitedError);
+    assert.strictEqual(daemon.isReady, false);
+});
+
+test('a crashed daemon is restarted', async () => {
+    const daemon = fakeDaemon();
+    await daemon.start();
+    const firstProcess = daemon.process;
+    daemon.request('crash', {}).catch(() => {});
+    await until(() => daemon.isReady && daemon.process !== firstProcess);
+    assert.strictEqual(await daemon.request('diagnostics', { result: 'again' }), 'again');
+});
+
+test('the restart delay doubles with every failed start', () => {
+    const daemon = fakeDaemon([], { restartDelayMs: 100 });
+    assert.strictEqual(daemon.restartDelay(), 100);
+    daemon.failedStarts = 1;
+    assert.strictEqual(daemon.restartDelay(), 200);
+    daemon.failedStarts = 2;
+    assert.strictEqual(daemon.restartDelay(), 400);
+    daemon.failedStarts = 20;
+    assert.strictEqual(daemon.restartDelay(), 30000, 'capped');
+});
+
+test('the daemon is given up on after 3 starts that never became ready', async () => {
+    let statusChanges = 0;
+    const daemon = fakeDaemon(['--fail-start'], { onStatusChange: () => statusChanges++ });
+    await assert.rejects(daemon.start(), /exited before becoming ready/);
+    await until(() => daemon.unsupported);
+    assert.strictEqual(daemon.failedStarts, 3);
+    assert.ok(statusChanges > 0);
+    await assert.rejects(daemon.start(), /not available/);
+    await assert.rejects(daemon.request('diagnostics', {}), /not available/);
+});
+
+test('a daemon that never reports ready is killed after the ready timeout', async () => {
+    const daemon = fakeDaemon(['--never-ready'], { readyTimeoutMs: 100, maxStartAttempts: 1 });
+    await assert.rejects(daemon.start(), /exited before becoming ready/);
+    assert.strictEqual(daemon.unsupported, true);
+});
+
+test('dispose shuts the daemon down and cancels pending requests', async () => {
+    const daemon = fakeDaemon();
+    await daemon.start();
+    const child = daemon.process;
+    const pending = daemon.request('diagnostics', { result: 'never', delayMs: 1000 });
+    const exited = new Promise(resolve => child.on('exit', (code) => resolve(code)));
+    const cancelled = assert.rejects(pending, RequestCancelledError);
+    await daemon.dispose();
+    await cancelled;
+    assert.strictEqual(await exited, 0, 'the daemon exits on its own after shutdown');
+    assert.strictEqual(daemon.restartTimer, null);
+    await assert.rejects(daemon.start(), /not available/);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDiagnosticsPayload, SEVERITY_ERROR } = require('../src/diagnostics');
+
+let project;
+
+before(() => {
+    project = fs.mkdtempSync(path.join(os.tmpdir(), 'hsl-diagnostics-test-'));
+    fs.writeFileSync(path.join(project, 'main.hsl'), 'fn main() {\n    give("x")\n    give("y")\n}\n');
+    fs.writeFileSync(path.join(project, 'items.hsl'), 'fn give(item: string, amount: int) {}\n');
+});
+
+after(() => {
+    fs.rmSync(project, { recursive: true, force: true });
+});
+
+const token = (value, lineNumber, lineIndex, file) => ({ value, meta: { lineNumber, lineIndex, file } });
+const range = (line, character, endLine, endCharacter) => ({ start: { line, character }, end: { line: endLine, character: endCharacter } });
+
+test('the tokens of an error in one file become one range, the others related locations', () => {
+    const [diagnostic] = parseDiagnosticsPayload([{
+        type: 'ERROR',
+        code: 'E0004',
+        title: 'Missing argument',
+        file: 'main.hsl',
+        errors: [{ tokens: [token('give', 2, 4), token('give', 3, 4), token('give', 1, 3, 'items.hsl')] }],
+        notes: ['amount has no default value', { message: 'declared here', file: 'items.hsl', tokens: [token('amount', 1, 22)] }]
+    }], project);
+
+    assert.strictEqual(diagnostic.severity, SEVERITY_ERROR);
+    assert.strictEqual(diagnostic.message, 'error[E0004]: Missing argument');
+    assert.strictEqual(diagnostic.filePath, path.join(project, 'main.hsl'));
+    assert.deepStrictEqual(diagnostic.range, range(1, 4, 2, 8));
+    assert.deepStrictEqual(diagnostic.related, [
+        { filePath: path.join(project, 'items.hsl'), range: range(0, 3, 0, 7), message: '`give`' },
+        { filePath: path.join(project, 'main.hsl'), range: range(1, 4, 2, 8), message: 'Note: amount has no default value' },
+        { filePath: path.join(project, 'items.hsl'), range: range(0, 22, 0, 28), message: 'Note: declared here' }
+    ]);
+});
+
+test('every error of an entry is its own diagnostic', () => {
+    const diagnostics = parseDiagnosticsPayload([{
+        code: 'E0001',
+        title: 'Duplicate call',
+        file: 'main.hsl',
+        errors: [{ tokens: [token('give', 2, 4)] }, { tokens: [token('give', 3, 4)] }]
+    }], project);
+    assert.deepStrictEqual(diagnostics.map(d => d.range), [range(1, 4, 1, 8), range(2, 4, 2, 8)]);
+});
+
+test('a token may span several lines', () => {
+    const [diagnostic] = parseDiagnosticsPayload([{
+        code: 'E0001',
+        title: 'Bad block',
+        file: 'main.hsl',
+        errors: [{ tokens: [{ meta: { lineNumber: 1, lineIndex: 10, beginIndex: 0, endIndex: 8 } }] }]
+    }], project);
+    assert.deepStrictEqual(diagnostic.range, range(0, 10, 1, 6));
+});
+
+test('entries without tokens are reported at the top of their file', () => {
+    const [diagnostic] = parseDiagnosticsPayload([{ type: 'WARNING', code: 'W0001', title: 'Empty file', file: 'items.hsl' }], project);
+    assert.strictEqual(diagnostic.filePath, path.join(project, 'items.hsl'));
+    assert.deepStrictEqual(diagnostic.range, range(0, 0, 0, 0));
+    assert.deepStrictEqual(diagnostic.related, []);
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for `java -jar hsl.jar daemon` that speaks the daemon protocol (see
+ * src/daemon.js), so the daemon client and the server can be tested without Java.
+ *
+ * Flags:
+ *   --fail-start    exit before reporting ready
+ *   --never-ready   stay up without reporting ready
+ *   --version=X     version reported in the ready event (default 0.0.0-fake)
+ *   --delay=MS      delay of every diagnostics answer
+ *   --crash-once=F  exit with code 1 on a diagnostics request while the file F
+ *                   exists, deleting it, so only one of the daemons started crashes
+ *
+ * Methods:
+ *   diagnostics  answers `params.result` after `params.delayMs` when given, otherwise
+ *                reports an error at every `ERROR_HERE` in the .hsl files of `params.projectDir`
+ *   crash        exits with code 1 without answering
+ *   received     answers the messages received so far
+ */
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+};
+const version = flag('version') || '0.0.0-fake';
+const delayMs = Number(flag('delay')) || 0;
+const crashOnce = flag('crash-once');
+
+if (args.includes('--fail-start')) process.exit(2);
+
+const received = [];
+const timers = new Map(); // id -> timer of a delayed answer
+
+function send(message) {
+    process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function hslFiles(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...hslFiles(full));
+        else if (entry.name.endsWith('.hsl')) files.push(full);
+    }
+    return files;
+}
+
+// One ERROR entry per `ERROR_HERE`, in the compiler's JSON format
+function scanProject(projectDir) {
+    const entries = [];
+    for (const file of hslFiles(projectDir)) {
+        fs.readFileSync(file, 'utf8').split('\n').forEach((text, line) => {
+            const column = text.indexOf('ERROR_HERE');
+            if (column === -1) return;
+            entries.push({
+                type: 'ERROR',
+                code: 'E0001',
+                title: 'Fake error',
+                file: path.relative(projectDir, file),
+                errors: [{ tokens: [{ value: 'ERROR_HERE', meta: { lineNumber: line + 1, lineIndex: column, beginIndex: 0, endIndex: 10 } }] }]
+            });
+        });
+    }
+    return entries;
+}
+
+function handle(message) {
+    if (message.method !== 'received') received.push(message);
+    switch (message.method) {
+        case 'diagnostics': {
+            const params = message.params || {};
+            if (crashOnce && fs.existsSync(crashOnce)) {
+                fs.unlinkSync(crashOnce);
+                process.exit(1);
+            }
+            const answer = () => {
+                timers.delete(message.id);
+                send({ id: message.id, result: params.result !== undefined ? params.result : scanProject(params.projectDir) });
+            };
+            const delay = params.delayMs || delayMs;
+            if (delay) timers.set(message.id, setTimeout(answer, delay));
+            else answer();
+            break;
+        }
+        case 'cancel': {
+            const timer = timers.get(message.params.id);
+            if (timer) clearTimeout(timer);
+            timers.delete(message.params.id);
+            break;
+        }
+        case 'crash':
+            process.exit(1);
+            break;
+        case 'received':
+            send({ id: message.id, result: received });
+            break;
+        case 'shutdown':
+            process.exit(0);
+            break;
+        default:
+            send({ id: message.id, error: { message: `Unknown method '${message.method}'` } });
+    }
+}
+
+let buffer = '';
+process.stdin.on('data', (data) => {
+    buffer += data.toString();
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) handle(JSON.parse(line));
+    }
+});
+process.stdin.on('end', () => process.exit(0));
+
+if (!args.includes('--never-ready')) send({ event: 'ready', version });
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const { formatDocument } = require('../src/features/formatting');
+
+const OPTIONS = { tabSize: 4, insertSpaces: true };
+const SETTINGS = { indentSize: null, colonSpacing: 'after', spaceAroundEquals: true, maxLineLength: 0 };
+
+function format(text, settings = SETTINGS) {
+    const document = TextDocument.create('file:///test.hsl', 'hsl-source', 1, text);
+    return TextDocument.applyEdits(document, formatDocument(document, OPTIONS, settings));
+}
+
+function assertIdempotent(text, settings) {
+    const once = format(text, settings);
+    assert.strictEqual(format(once, settings), once);
+    return once;
+}
+
+test('code after the end of a block comment keeps the comment as written', () => {
+    const text = [
+        'fn main() {',
+        '    /* a',
+        '     comment */ x=2',
+        '  /* b',
+        '*/ if (x) { foo(1,2) }',
+        '}',
+        ''
+    ].join('\n');
+    assert.strictEqual(assertIdempotent(text), [
+        'fn main() {',
+        '    /* a',
+        '     comment */ x = 2',
+        '    /* b',
+        '*/ if (x) { foo(1, 2) }',
+        '}',
+        ''
+    ].join('\n'));
+});
+
+test('formatting twice gives the same result', () => {
+    const text = [
+        'const  LIMIT=10',
+        '@inline fn add(a:int,b:int)',
+        '{',
+        'return a+b',
+        '}',
+        '',
+        '',
+        'fn main() {',
+        '  if (add(1,-2)>LIMIT) { send("a {b}") }',
+        '  else',
+        '  {',
+        '      /* kept',
+        '         as is */',
+        '      call(first, second, third) // trailing',
+        '  }',
+        '}',
+        '',
+        ''
+    ].join('\n');
+    assertIdempotent(text);
+    assertIdempotent(text, { ...SETTINGS, maxLineLength: 20 });
+});
+
+test('else is separated from the closing brace before it', () => {
+    const text = [
+        'fn main() {',
+        '    if (x) {',
+        '        a()',
+        '    }else if (y) { b() }else{',
+        '        c()',
+        '    }',
+        '}',
+        ''
+    ].join('\n');
+    assert.strictEqual(assertIdempotent(text), [
+        'fn main() {',
+        '    if (x) {',
+        '        a()',
+        '    } else if (y) { b() } else {',
+        '        c()',
+        '    }',
+        '}',
+        ''
+    ].join('\n'));
+});
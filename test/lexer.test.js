@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Lexer, tokenize, lexLine } = require('../src/parser/lexer');
+
+const values = (tokens) => tokens.map(t => t.value);
+
+test('tokens carry their line and column', () => {
+    const { tokens } = tokenize('fn add(a: int) {\n    return a+1\n}');
+    assert.deepStrictEqual(values(tokens), ['fn', 'add', '(', 'a', ':', 'int', ')', '{', 'return', 'a', '+', '1', '}']);
+    const ret = tokens[8];
+    assert.deepStrictEqual({ line: ret.line, start: ret.start, end: ret.end, newline: ret.newline }, { line: 1, start: 4, end: 10, newline: true });
+    assert.strictEqual(tokens[9].newline, false);
+});
+
+test('punctuation is matched longest first, durations keep their unit', () => {
+    const { tokens } = tokenize('a::b += 3s != 0xFF');
+    assert.deepStrictEqual(values(tokens), ['a', '::', 'b', '+=', '3s', '!=', '0xFF']);
+    assert.deepStrictEqual(tokens.map(t => t.type), ['name', 'punct', 'name', 'punct', 'number', 'punct', 'number']);
+});
+
+test('braces inside strings, chars and comments are not tokens', () => {
+    const { tokens, comments } = tokenize('x = "}{" + \'{\' // }\ny = 1 /* { */ }');
+    assert.deepStrictEqual(values(tokens), ['x', '=', '"}{"', '+', '\'{\'', 'y', '=', '1', '}']);
+    assert.deepStrictEqual(values(comments), ['// }', '/* { */']);
+});
+
+test('interpolated strings carry the tokens of their expressions', () => {
+    const [string] = tokenize('$"a {b + "}"} c {d"').tokens;
+    assert.strictEqual(string.type, 'string');
+    assert.strictEqual(string.interpolated, true);
+    assert.strictEqual(string.terminated, false);
+    assert.deepStrictEqual(string.parts.map(p => [values(p.tokens), p.closed]), [[['b', '+', '"}"'], true], [['d', '"'], false]]);
+});
+
+test('block comments span lines', () => {
+    const { tokens, comments } = tokenize('a /* one\ntwo\nthree */ b');
+    assert.deepStrictEqual(values(tokens), ['a', 'b']);
+    assert.deepStrictEqual(comments.map(c => [c.value, c.line]), [['/* one', 0], ['two', 1], ['three */', 2]]);
+    assert.strictEqual(tokens[1].newline, true, 'the first token of a line is marked even after a comment');
+});
+
+test('the `*` of `/*` does not close the comment', () => {
+    const { tokens, comments } = tokenize('a /*/ b */ c\nd /**/ e');
+    assert.deepStrictEqual(values(tokens), ['a', 'c', 'd', 'e']);
+    assert.deepStrictEqual(values(comments), ['/*/ b */', '/**/']);
+});
+
+test('an unterminated block comment runs to the end of the text', () => {
+    const { tokens, comments } = tokenize('a /* open\nfn b() {}\n');
+    assert.deepStrictEqual(values(tokens), ['a']);
+    assert.deepStrictEqual(values(comments), ['/* open', 'fn b() {}']);
+    assert.strictEqual(lexLine('x /* open', false).inComment, true);
+    assert.strictEqual(lexLine('still open', true).inComment, true);
+    assert.strictEqual(lexLine('closed */ y', true).inComment, false);
+});
+
+test('unchanged lines are reused on the next tokenize', () => {
+    const lexer = new Lexer();
+    lexer.tokenize('a\nb\nc\nd');
+    const before = lexer.lines.slice();
+    const { tokens } = lexer.tokenize('a\nb\nX\nY\nc\nd');
+    assert.deepStrictEqual(values(tokens), ['a', 'b', 'X', 'Y', 'c', 'd']);
+    assert.strictEqual(lexer.lines[0], before[0]);
+    assert.strictEqual(lexer.lines[1], before[1]);
+    assert.strictEqual(lexer.lines[4], before[2], 'lines after the edit are matched from the end');
+    assert.strictEqual(lexer.lines[5], before[3]);
+    // Reused tokens are moved to their new lines
+    assert.deepStrictEqual(tokens.map(t => t.line), [0, 1, 2, 3, 4, 5]);
+});
+
+test('lines whose comment state changed are tokenized again', () => {
+    const lexer = new Lexer();
+    lexer.tokenize('a\nb */ c\nd');
+    const before = lexer.lines.slice();
+    assert.deepStrictEqual(values(tokenize('a\nb */ c\nd').tokens), ['a', 'b', '*', '/', 'c', 'd']);
+
+    // Opening a comment on the first line changes how the unchanged second line reads
+    const { tokens, comments } = lexer.tokenize('a /*\nb */ c\nd');
+    assert.deepStrictEqual(values(tokens), ['a', 'c', 'd']);
+    assert.deepStrictEqual(values(comments), ['/*', 'b */']);
+    assert.notStrictEqual(lexer.lines[1], before[1]);
+    assert.strictEqual(lexer.lines[1].inCommentBefore, true);
+    // Once the state lines up again the old line is reused
+    assert.strictEqual(lexer.lines[2], before[2]);
+
+    // And closing it again brings the original tokens back
+    assert.deepStrictEqual(values(lexer.tokenize('a\nb */ c\nd').tokens), ['a', 'b', '*', '/', 'c', 'd']);
+});
+
+test('an incremental tokenize gives the same tokens as a fresh one', () => {
+    const versions = [
+        'fn a() {\n    x = 1\n}\n',
+        'fn a() {\n    /* x = 1\n}\n',
+        'fn a() {\n    /* x = 1\n}\n*/ fn b() {}\n',
+        'fn a() {\n    x = $"{1 +"\n}\n*/ fn b() {}\n',
+        ''
+    ];
+    const lexer = new Lexer();
+    const strip = ({ tokens, comments }) => JSON.parse(JSON.stringify({ tokens, comments }));
+    for (const text of versions) {
+        assert.deepStrictEqual(strip(lexer.tokenize(text)), strip(tokenize(text)), JSON.stringify(text));
+    }
+});
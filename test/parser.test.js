@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const { parse, parseDocument, forgetDocument, walk, stringAt } = require('../src/parser');
+
+// Declarations as `type name` with the statement types of their body
+function outline(ast) {
+    return ast.body.map((node) => {
+        const body = node.body && node.body.body ? `[${node.body.body.map(s => s.type).join(', ')}]` : '';
+        return `${node.type} ${node.name}${body}`;
+    });
+}
+
+const messages = (ast) => ast.errors.map(e => `${e.range.start.line}:${e.range.start.character} ${e.message}`);
+
+test('declarations and their bodies', () => {
+    const ast = parse([
+        '// Adds',
+        '@inline',
+        'fn add(a: int, b: int = 2): int {',
+        '    return a + b',
+        '}',
+        'const LIMIT = 10',
+        'stat player kills: int = 0',
+        'event join(player) {',
+        '    if (kills > LIMIT) { kills = 0 } else { kills++ }',
+        '}'
+    ].join('\n'));
+    assert.deepStrictEqual(outline(ast), ['Function add[Return]', 'Const LIMIT', 'Stat kills', 'Event join[If]']);
+    assert.deepStrictEqual(ast.errors, []);
+    const [add, , kills] = ast.body;
+    assert.strictEqual(add.doc, 'Adds');
+    assert.deepStrictEqual(add.annotations.map(a => a.name), ['inline']);
+    assert.deepStrictEqual(add.params.map(p => [p.name, p.valueType, p.defaultValue]), [['a', 'int', undefined], ['b', 'int', '2']]);
+    assert.strictEqual(add.signature, 'fn add(a: int, b: int = 2): int');
+    assert.strictEqual(kills.namespace, 'player');
+});
+
+test('braces inside strings and comments do not close blocks', () => {
+    const ast = parse([
+        'fn a() {',
+        '    x = "}"',
+        '    // }',
+        '    /* } */',
+        '    y = $"{"}"}"',
+        '}',
+        'fn b() {}'
+    ].join('\n'));
+    assert.deepStrictEqual(outline(ast), ['Function a[ExpressionStatement, ExpressionStatement]', 'Function b[]']);
+    assert.deepStrictEqual(ast.errors, []);
+    assert.deepStrictEqual(ast.body[0].range.end, { line: 5, character: 1 });
+});
+
+test('an unterminated block comment hides the rest of the file', () => {
+    const ast = parse('fn a() {\n    /* never closed\n}\nfn b() {}\n');
+    assert.deepStrictEqual(outline(ast), ['Function a[]']);
+    assert.deepStrictEqual(messages(ast), ["4:0 Expected '}'"]);
+    assert.deepStrictEqual(ast.comments.map(c => c.value), ['/* never closed', '}', 'fn b() {}']);
+});
+
+test('an unclosed block ends at the next top-level declaration', () => {
+    const ast = parse('fn a() {\n    foo(1,\nfn b() {\n    bar()\n}\n');
+    assert.deepStrictEqual(outline(ast), ['Function a[ExpressionStatement]', 'Function b[ExpressionStatement]']);
+    assert.deepStrictEqual(messages(ast), ["2:0 Expected '}'"]);
+    const call = ast.body[0].body.body[0].expression;
+    assert.strictEqual(call.type, 'Call');
+    assert.strictEqual(call.closed, false);
+});
+
+test('unexpected tokens are reported once and skipped', () => {
+    const ast = parse('fn a() {\n    x = ) 2\n    y = 3\n}\nfn b() {}\n');
+    assert.deepStrictEqual(messages(ast), ["1:8 Unexpected ')'"]);
+    assert.deepStrictEqual(outline(ast).map(s => s.split('[')[0]), ['Function a', 'Function b']);
+    // The statement after the error is still parsed
+    const names = [];
+    walk(ast.body[0], (node) => {
+        if (node.type === 'Identifier') names.push(node.name);
+    });
+    assert.deepStrictEqual(names, ['x', 'y']);
+});
+
+test('a declaration missing its value does not swallow the next one', () => {
+    const ast = parse('const X =\nfn b() {}\n');
+    assert.deepStrictEqual(outline(ast), ['Const X', 'Function b[]']);
+    assert.strictEqual(ast.errors.length, 1);
+});
+
+test('stringAt finds the interpolation around a position', () => {
+    const ast = parse('fn a() {\n    send($"hi {name} there")\n}');
+    const inText = stringAt(ast, { line: 1, character: 13 });
+    assert.strictEqual(inText.string.type, 'String');
+    assert.strictEqual(inText.interpolation, null);
+    const inExpression = stringAt(ast, { line: 1, character: 17 });
+    assert.strictEqual(inExpression.interpolation.expression.name, 'name');
+    assert.strictEqual(stringAt(ast, { line: 1, character: 6 }), null);
+});
+
+function document(uri, text, version = 1) {
+    return TextDocument.create(uri, 'hsl-source', version, text);
+}
+
+test('parseDocument parses each version once', () => {
+    const uri = 'file:///cache/once.hsl';
+    const first = parseDocument(document(uri, 'fn a() {}'));
+    assert.strictEqual(parseDocument(document(uri, 'fn a() {}')), first);
+    const changed = parseDocument(document(uri, 'fn b() {}', 2));
+    assert.notStrictEqual(changed, first);
+    assert.strictEqual(changed.body[0].name, 'b');
+    forgetDocument(uri);
+    assert.notStrictEqual(parseDocument(document(uri, 'fn b() {}', 2)), changed);
+    forgetDocument(uri);
+});
+
+test('parseDocument keeps the 64 documents used last', () => {
+    const uri = (i) => `file:///cache/lru${i}.hsl`;
+    const asts = [];
+    for (let i = 0; i < 64; i++) asts.push(parseDocument(document(uri(i), `fn f${i}() {}`)));
+    // Using the first document makes the second the least recently used
+    assert.strictEqual(parseDocument(document(uri(0), 'fn f0() {}')), asts[0]);
+    parseDocument(document(uri(64), 'fn f64() {}'));
+
+    assert.strictEqual(parseDocument(document(uri(0), 'fn f0() {}')), asts[0]);
+    assert.strictEqual(parseDocument(document(uri(2), 'fn f2() {}')), asts[2]);
+    assert.notStrictEqual(parseDocument(document(uri(1), 'fn f1() {}')), asts[1], 'evicted and parsed again');
+    for (let i = 0; i <= 64; i++) forgetDocument(uri(i));
+});
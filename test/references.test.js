@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const { StdIndex } = require('../src/std-index');
+const WorkspaceIndex = require('../src/workspace-index');
+const { provideReferences, prepareRename, provideRename } = require('../src/features/references');
+
+const URI = 'file:///project/main.hsl';
+const SOURCE = [
+    'stat kills = 0',
+    'const LIMIT = 10',
+    '// kills and LIMIT in a comment',
+    'fn reward(kills: int, amount: int = LIMIT) {',
+    '    send(kills)',
+    '    send("kills")',
+    '}',
+    'event join(LIMIT) {',
+    '    kills = LIMIT',
+    '}',
+    'fn main() {',
+    '    kills++',
+    '    send($"{kills} of {LIMIT}")',
+    '}'
+].join('\n');
+
+function setUp() {
+    const index = new WorkspaceIndex(new StdIndex(__dirname, path.join(__dirname, 'no-std')));
+    index.indexText(URI, SOURCE, '/project/main.hsl');
+    const document = TextDocument.create(URI, 'hsl-source', 1, SOURCE);
+    const getDocument = (uri) => (uri === URI ? document : null);
+    return { index, document, getDocument };
+}
+
+const at = (line, character) => ({ line, character });
+const starts = (locations) => locations.map(l => `${l.range.start.line}:${l.range.start.character}`);
+
+test('references of a stat skip parameters of the same name', () => {
+    const { index, document, getDocument } = setUp();
+    const references = provideReferences(index, document, at(11, 5), true, getDocument);
+    assert.deepStrictEqual(starts(references), ['0:5', '8:4', '11:4', '12:12']);
+});
+
+test('references of a constant skip parameters of the same name', () => {
+    const { index, document, getDocument } = setUp();
+    const references = provideReferences(index, document, at(1, 7), false, getDocument);
+    // The default value of a parameter is outside of the function body
+    assert.deepStrictEqual(starts(references), ['3:36', '12:23']);
+});
+
+test('renaming a stat leaves parameters, comments and strings alone', () => {
+    const { index, document, getDocument } = setUp();
+    const { changes } = provideRename(index, document, at(0, 6), 'score', getDocument);
+    assert.deepStrictEqual(starts(changes[URI]), ['0:5', '8:4', '11:4', '12:12']);
+});
+
+test('parameters are not resolved to the symbol they shadow', () => {
+    const { index, document, getDocument } = setUp();
+    assert.strictEqual(provideReferences(index, document, at(4, 10), true, getDocument), null);
+    assert.strictEqual(provideReferences(index, document, at(3, 11), true, getDocument), null);
+    assert.throws(() => prepareRename(index, document, at(8, 12)), /can be renamed/);
+});
+
+test('prepareRename rejects names in comments and strings', () => {
+    const { index, document } = setUp();
+    assert.throws(() => prepareRename(index, document, at(2, 4)), /comments and strings/);
+    assert.throws(() => prepareRename(index, document, at(5, 11)), /comments and strings/);
+    // Format string expressions are code
+    assert.deepStrictEqual(prepareRename(index, document, at(12, 15)), { range: { start: at(12, 12), end: at(12, 17) }, placeholder: 'kills' });
+});
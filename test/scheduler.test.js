@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DiagnosticsScheduler = require('../src/scheduler');
+const log = require('../src/log');
+
+log.setLogLevel('off');
+
+// A check per call that resolves when `finish` is called, or to null once cancelled
+function controlledChecks() {
+    const runs = [];
+    const check = (key) => new Promise((resolve) => {
+        runs.push({ key, finish: resolve, cancelled: false, cancel: () => resolve(null) });
+    });
+    const cancelRunning = (key) => {
+        const run = runs.filter(r => r.key === key).pop();
+        run.cancelled = true;
+        run.cancel();
+    };
+    return { runs, check, cancelRunning };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('a check is published once it finishes', async () => {
+    const { runs, check } = controlledChecks();
+    const published = [];
+    const scheduler = new DiagnosticsScheduler(check, (key, result) => published.push([key, result]));
+    const done = scheduler.runNow('/a');
+    runs[0].finish('result');
+    await done;
+    assert.deepStrictEqual(published, [['/a', 'result']]);
+});
+
+test('scheduled checks are debounced', async () => {
+    const { runs, check } = controlledChecks();
+    const scheduler = new DiagnosticsScheduler(check, () => {});
+    scheduler.schedule('/a', 10);
+    scheduler.schedule('/a', 10);
+    scheduler.schedule('/b', 10);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepStrictEqual(runs.map(r => r.key), ['/a', '/b']);
+    scheduler.dispose();
+});
+
+test('a newer request cancels the running check and runs once it stopped', async () => {
+    const { runs, check, cancelRunning } = controlledChecks();
+    const published = [];
+    const scheduler = new DiagnosticsScheduler(check, (key, result) => published.push(result), cancelRunning);
+    scheduler.runNow('/a');
+    const second = scheduler.runNow('/a');
+    const third = scheduler.runNow('/a');
+    assert.strictEqual(runs[0].cancelled, true);
+    await tick();
+    assert.strictEqual(runs.length, 2, 'the requests made while running collapse into one');
+    runs[1].finish('newest');
+    await Promise.all([second, third]);
+    assert.deepStrictEqual(published, ['newest']);
+});
+
+test('a check that ignores cancellation is not published when superseded', async () => {
+    const { runs, check } = controlledChecks();
+    const published = [];
+    const scheduler = new DiagnosticsScheduler(check, (key, result) => published.push(result), () => {});
+    scheduler.runNow('/a');
+    const rerun = scheduler.runNow('/a');
+    runs[0].finish('stale');
+    await tick();
+    runs[1].finish('current');
+    await rerun;
+    assert.deepStrictEqual(published, ['current']);
+});
+
+test('a cancelled key does not publish', async () => {
+    const { runs, check } = controlledChecks();
+    const published = [];
+    const scheduler = new DiagnosticsScheduler(check, (key, result) => published.push(result));
+    const done = scheduler.runNow('/a');
+    scheduler.cancel('/a');
+    runs[0].finish('dropped');
+    await done;
+    assert.deepStrictEqual(published, []);
+});
@@ -0,0 +1,154 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMessageConnection, StreamMessageReader, StreamMessageWriter } = require('vscode-languageserver/node');
+const { fileUri } = require('../src/text');
+
+const SOURCE = [
+    'fn greet(name: string) {',
+    '}',
+    '',
+    'fn main() {',
+    '    greet("hi")',
+    '    ERROR_HERE',
+    '}',
+    ''
+].join('\n');
+
+let tmp;
+let project;
+let server;
+let connection;
+const waiting = new Map(); // uri -> { matches, resolve } waiting for a publishDiagnostics
+
+// The server is given the fake daemon as its Java runtime
+function setUpProject() {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'hsl-server-test-'));
+    const javaHome = path.join(tmp, 'java');
+    fs.mkdirSync(path.join(javaHome, 'bin'), { recursive: true });
+    fs.symlinkSync(path.join(__dirname, 'fake-daemon.js'), path.join(javaHome, 'bin', 'java'));
+    fs.writeFileSync(path.join(tmp, 'hsl.jar'), '');
+
+    project = path.join(tmp, 'project');
+    fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(project, 'build.toml'), 'name = "test"\n');
+    fs.writeFileSync(path.join(project, 'src', 'main.hsl'), SOURCE);
+    return { javaHome, jarPath: path.join(tmp, 'hsl.jar') };
+}
+
+// The first diagnostics published for `uri` that `matches` accepts
+function published(uri, matches) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No matching diagnostics published for ${uri}`)), 10000);
+        waiting.set(uri, {
+            matches,
+            resolve: (diagnostics) => {
+                clearTimeout(timer);
+                resolve(diagnostics);
+            }
+        });
+    });
+}
+
+// The first compiler diagnostic published for `uri` that `matches` accepts
+async function compilerDiagnostic(uri, matches) {
+    // The server's own analysis publishes too, along with the last compiler result
+    const compiler = (diagnostics) => diagnostics.find(d => d.source === 'HSL Compiler' && matches(d));
+    return compiler(await published(uri, compiler));
+}
+
+before(async () => {
+    const compiler = setUpProject();
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js'), '--stdio'], { stdio: ['pipe', 'pipe', 'ignore'] });
+    connection = createMessageConnection(new StreamMessageReader(server.stdout), new StreamMessageWriter(server.stdin));
+    connection.onRequest('workspace/configuration', (params) => params.items.map((item) => {
+        if (item.section === 'hsl') return { logLevel: 'off', diagnostics: { delay: 0 }, compiler };
+        if (item.section === 'hsl.compiler') return compiler;
+        return null;
+    }));
+    connection.onRequest('client/registerCapability', () => null);
+    connection.onNotification('textDocument/publishDiagnostics', (params) => {
+        const entry = waiting.get(params.uri);
+        if (entry && entry.matches(params.diagnostics)) {
+            waiting.delete(params.uri);
+            entry.resolve(params.diagnostics);
+        }
+    });
+    connection.listen();
+});
+
+after(async () => {
+    if (connection) {
+        await connection.sendRequest('shutdown');
+        connection.sendNotification('exit');
+        connection.dispose();
+    }
+    if (server && server.exitCode === null) {
+        await new Promise((resolve) => {
+            const timer = setTimeout(() => server.kill(), 2000);
+            server.on('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('initialize reports the server capabilities', async () => {
+    const result = await connection.sendRequest('initialize', {
+        processId: process.pid,
+        rootUri: null,
+        capabilities: { workspace: { configuration: true, workspaceFolders: true } },
+        workspaceFolders: [{ uri: fileUri(project), name: 'project' }]
+    });
+    assert.strictEqual(result.serverInfo.name, 'hsl-language-server');
+    assert.strictEqual(result.capabilities.hoverProvider, true);
+    connection.sendNotification('initialized', {});
+});
+
+test('opening a document publishes the compiler diagnostics of its project', async () => {
+    const uri = fileUri(path.join(project, 'src', 'main.hsl'));
+    const published = compilerDiagnostic(uri, () => true);
+    connection.sendNotification('textDocument/didOpen', { textDocument: { uri, languageId: 'hsl-source', version: 1, text: SOURCE } });
+    const diagnostic = await published;
+    assert.strictEqual(diagnostic.message, 'error[E0001]: Fake error');
+    assert.strictEqual(diagnostic.code, 'E0001');
+    assert.deepStrictEqual(diagnostic.range.start, { line: 5, character: 4 });
+});
+
+test('unsaved edits are checked', async () => {
+    const uri = fileUri(path.join(project, 'src', 'main.hsl'));
+    const published = compilerDiagnostic(uri, d => d.range.start.line === 6);
+    connection.sendNotification('textDocument/didChange', {
+        textDocument: { uri, version: 2 },
+        contentChanges: [{ range: { start: { line: 5, character: 0 }, end: { line: 5, character: 0 } }, text: '\n' }]
+    });
+    const diagnostic = await published;
+    assert.deepStrictEqual(diagnostic.range, { start: { line: 6, character: 4 }, end: { line: 6, character: 14 } });
+});
+
+test('hover shows the signature of a called function', async () => {
+    const uri = fileUri(path.join(project, 'src', 'main.hsl'));
+    const hover = await connection.sendRequest('textDocument/hover', { textDocument: { uri }, position: { line: 4, character: 6 } });
+    assert.ok(hover, 'a hover is returned');
+    assert.match(hover.contents.value, /greet\(name: string\)/);
+});
+
+test('a stat used in another open document stops being reported as unused', async () => {
+    const uri = fileUri(path.join(project, 'src', 'stats.hsl'));
+    const unused = (diagnostics) => diagnostics.some(d => d.code === 'unused-stat');
+    const reported = published(uri, unused);
+    connection.sendNotification('textDocument/didOpen', { textDocument: { uri, languageId: 'hsl-source', version: 1, text: 'stat kills = 0\n' } });
+    await reported;
+
+    const cleared = published(uri, diagnostics => !unused(diagnostics));
+    connection.sendNotification('textDocument/didChange', {
+        textDocument: { uri: fileUri(path.join(project, 'src', 'main.hsl')), version: 3 },
+        contentChanges: [{ range: { start: { line: 4, character: 0 }, end: { line: 4, character: 0 } }, text: '    kills = 1\n' }]
+    });
+    await cleared;
+});
@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ShadowProject = require('../src/shadow');
+
+let project;
+
+before(() => {
+    project = fs.mkdtempSync(path.join(os.tmpdir(), 'hsl-shadow-test-'));
+    fs.writeFileSync(path.join(project, 'build.toml'), 'name = "test"\n');
+    fs.writeFileSync(path.join(project, 'main.hsl'), 'fn main() {}\n');
+});
+
+after(() => {
+    fs.rmSync(project, { recursive: true, force: true });
+});
+
+test('unsaved buffers replace their files in the shadow copy only', () => {
+    const shadow = new ShadowProject(project);
+    const main = path.join(project, 'main.hsl');
+    const shadowDir = shadow.sync(new Map([[main, 'fn edited() {}\n']]));
+    assert.strictEqual(fs.readFileSync(path.join(shadowDir, 'main.hsl'), 'utf8'), 'fn edited() {}\n');
+    assert.strictEqual(fs.readFileSync(main, 'utf8'), 'fn main() {}\n');
+    assert.strictEqual(shadow.toRealPath(path.join(shadowDir, 'main.hsl')), main);
+    shadow.dispose();
+});
+
+test('each instance mirrors a project into its own directory', () => {
+    const first = new ShadowProject(project);
+    const second = new ShadowProject(project);
+    assert.notStrictEqual(first.shadowDir, second.shadowDir);
+    first.sync(new Map());
+    second.sync(new Map());
+    first.dispose();
+    assert.strictEqual(fs.existsSync(first.shadowDir), false);
+    assert.strictEqual(fs.existsSync(path.join(second.shadowDir, 'main.hsl')), true, 'disposing one leaves the other alone');
+    second.dispose();
+});
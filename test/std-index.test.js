@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('../src/parser');
+const { collectDeclarations } = require('../src/parser/declarations');
+const { StdIndex } = require('../src/std-index');
+const { listHslFiles } = require('../src/text');
+const log = require('../src/log');
+
+log.setLogLevel('off');
+
+const STD_DIR = path.join(__dirname, 'fixtures', 'hsl-std');
+
+const parseStd = (...parts) => parse(fs.readFileSync(path.join(STD_DIR, ...parts), 'utf8'));
+const names = (byType) => Object.fromEntries(Object.entries(byType).map(([type, members]) => [type, Object.keys(members)]));
+
+test('every std file parses without errors', () => {
+    const files = listHslFiles(STD_DIR).map(file => path.relative(STD_DIR, file).split(path.sep).join('/')).sort();
+    assert.deepStrictEqual(files, ['hypixel/actions.hsl', 'hypixel/annotations.hsl', 'hypixel/conditions.hsl', 'types/location.hsl', 'types/vector.hsl']);
+    for (const file of files) {
+        assert.deepStrictEqual(parseStd(...file.split('/')).errors, [], file);
+    }
+});
+
+test('actions and conditions are the functions of their files', () => {
+    const actions = collectDeclarations(parseStd('hypixel', 'actions.hsl')).functions;
+    assert.deepStrictEqual(Object.keys(actions), ['send_message', 'give_item', 'teleport_player', 'change_player_stat', 'play_sound', 'play_sound_at']);
+    assert.strictEqual(actions.send_message.doc, 'Sends a message in chat to the player.');
+    assert.deepStrictEqual(actions.give_item.params.map(p => [p.name, p.type, p.defaultValue]), [
+        ['item', 'Item', undefined],
+        ['allow_multiple', 'bool', 'false'],
+        ['inventory_slot', 'InventorySlot', 'InventorySlot::FirstSlot'],
+        ['replace_existing_item', 'bool', 'false']
+    ]);
+    assert.strictEqual(actions.play_sound.deprecated, 'use play_sound_at');
+    assert.strictEqual(actions.play_sound_at.deprecated, null);
+
+    const conditions = collectDeclarations(parseStd('hypixel', 'conditions.hsl')).functions;
+    assert.deepStrictEqual(Object.keys(conditions), ['in_region', 'has_item', 'is_sneaking', 'player_stat_requirement']);
+    assert.strictEqual(conditions.is_sneaking.returnType, 'bool');
+    assert.deepStrictEqual(conditions.is_sneaking.params, []);
+    assert.strictEqual(conditions.player_stat_requirement.deprecated, 'compare the stat directly');
+});
+
+test('enum members and struct functions are declared by their type', () => {
+    const location = collectDeclarations(parseStd('types', 'location.hsl'));
+    assert.deepStrictEqual(Object.keys(location.types), ['Location', 'StatOp']);
+    assert.deepStrictEqual([location.types.Location.kind, location.types.StatOp.kind], ['enum', 'enum']);
+    assert.deepStrictEqual(names(location.enumMembers), {
+        Location: ['Spawn', 'InvokersLocation', 'Custom', 'Relative'],
+        StatOp: ['Increment', 'Decrement', 'Set', 'Add']
+    });
+    assert.strictEqual(location.enumMembers.Location.Spawn.doc, 'Where players spawn.');
+    assert.strictEqual(location.enumMembers.Location.Custom.signature, 'Custom(x: float, y: float, z: float)');
+    assert.strictEqual(location.enumMembers.StatOp.Add.deprecated, 'use Increment');
+
+    const vector = collectDeclarations(parseStd('types', 'vector.hsl'));
+    assert.deepStrictEqual(Object.keys(vector.types), ['Vector', 'List']);
+    assert.strictEqual(vector.types.Vector.kind, 'struct');
+    assert.deepStrictEqual(names(vector.structFunctions), { Vector: ['new', 'length'], List: ['size'] });
+    assert.deepStrictEqual(vector.structFunctions.Vector.new.params.map(p => p.name), ['x', 'y', 'z']);
+    assert.strictEqual(vector.structFunctions.Vector.new.returnType, 'Vector');
+    assert.deepStrictEqual(Object.keys(vector.constants), ['VECTOR_AXES']);
+    assert.deepStrictEqual(Object.keys(vector.macros), ['nudge']);
+});
+
+test('the std index is built from every file of the checkout', () => {
+    const std = new StdIndex(__dirname, STD_DIR);
+    std.build();
+    assert.strictEqual(std.actionsFilePath, path.join(STD_DIR, 'hypixel', 'actions.hsl'));
+    assert.strictEqual(Object.keys(std.actions).length, 6);
+    assert.strictEqual(Object.keys(std.conditions).length, 4);
+    assert.deepStrictEqual(Object.fromEntries(Object.entries(std.annotations).map(([name, a]) => [name, a.targets])), {
+        inline: ['fn'],
+        loop: ['fn'],
+        alias: ['command'],
+        icon: null
+    });
+    assert.deepStrictEqual(std.annotations.loop.params.map(p => p.name), ['ticks']);
+    assert.deepStrictEqual(Object.keys(std.types).sort(), ['List', 'Location', 'StatOp', 'Vector']);
+    assert.deepStrictEqual(Object.keys(std.enumMembers).sort(), ['Location', 'StatOp']);
+    assert.deepStrictEqual(Object.keys(std.structFunctions).sort(), ['List', 'Vector']);
+    assert.deepStrictEqual([...std.constants.keys()], ['VECTOR_AXES']);
+    assert.deepStrictEqual([...std.macros.keys()], ['nudge']);
+    assert.strictEqual(std.isStdPath(path.join(STD_DIR, 'types', 'vector.hsl')), true);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { StdIndex } = require('../src/std-index');
+const WorkspaceIndex = require('../src/workspace-index');
+
+function indexOf(files) {
+    const index = new WorkspaceIndex(new StdIndex(__dirname, path.join(__dirname, 'no-std')));
+    for (const [name, text] of Object.entries(files)) {
+        index.indexText(`file:///project/${name}`, text.join('\n'), `/project/${name}`);
+    }
+    return index;
+}
+
+test('stat usages are counted across files from the index', () => {
+    const index = indexOf({
+        'stats.hsl': ['stat kills = 0'],
+        'main.hsl': [
+            'fn reward() {',
+            '    kills += 1',
+            '    kills++',
+            '    if (kills > 10) { send($"{kills} kills") }',
+            '}'
+        ],
+        'reset.hsl': ['fn reset() {', '    kills = 0', '}']
+    });
+    const [declaration] = index.stats.get('kills');
+    assert.deepStrictEqual(index.statUsages('kills', declaration), { writes: 3, reads: 2 });
+});
+
+test('stat usages follow the declaration each use resolves to', () => {
+    const index = indexOf({
+        'main.hsl': [
+            'stat score = 0',
+            'fn local() {',
+            '    stat score = 0',
+            '    score = 1',
+            '}',
+            'fn other() {',
+            '    score = score + 1',
+            '}'
+        ]
+    });
+    const [fileLevel, local] = index.stats.get('score');
+    assert.strictEqual(local.container !== '', true);
+    assert.deepStrictEqual(index.statUsages('score', fileLevel), { writes: 1, reads: 1 });
+    assert.deepStrictEqual(index.statUsages('score', local), { writes: 1, reads: 0 });
+});
+
+test('re-indexing a file replaces its usages', () => {
+    const index = indexOf({ 'main.hsl': ['stat kills = 0', 'fn a() {', '    kills = 1', '}'] });
+    const uri = 'file:///project/main.hsl';
+    index.indexText(uri, 'stat kills = 0\nfn a() {\n    send(kills)\n}', '/project/main.hsl');
+    const [declaration] = index.stats.get('kills');
+    assert.deepStrictEqual(index.statUsages('kills', declaration), { writes: 0, reads: 1 });
+    assert.strictEqual(index.isIdentifierUsed('kills'), true);
+    index.removeUri(uri);
+    assert.strictEqual(index.isIdentifierUsed('kills'), false);
+});